@@ -0,0 +1,147 @@
+/**
+ * MoCIoT Web App: Collision Benchmark
+ *
+ * This script measures how much time the wall collision detection of the physics engine (js/physics.js) takes per
+ * frame for a generated maze of a given size. The same simulation runs twice, once with the broadphase grid and once
+ * testing every wall, so the benefit of the grid can be read off directly. Both runs use the same seeded maze, ball
+ * positions and tilt sequence, so they simulate exactly the same ball paths.
+ *
+ * The engine has no separate collision pass, so the times are those of whole simulation steps, including the tilt,
+ * friction and events. As everything apart from the wall tests is the same in both runs, the difference between them
+ * is the time the grid saves on collision detection, which the results show as well. Sizes, balls and frames are
+ * limited (see 'benchmarkLimits'), so a typo in the URL cannot keep the page busy for minutes.
+ *
+ * Usage:
+ *   - Browser: open the game with '?benchmark=40x40' (optionally '&balls=16&frames=600'). The results are shown in the
+ *     note.
+ *   - Node: node js/benchmark.js 40x40 [balls] [frames]
+ */
+
+// In Node the engine and the generator are required, in the browser they are globals of the other scripts
+const benchmarkEngine = typeof module !== "undefined" && module.exports
+    ? { ...require("./physics.js"), ...require("./generator.js") }
+    : { createWorld, nearbyWalls, step, takeEvents, generateMaze, createRandom };
+
+// Frames after which the tilt of the board changes direction, so the balls keep rolling into walls
+const tiltChangeInterval = 60;
+// Largest number of columns and rows, balls and frames of a benchmark. Values are clamped to these, and to at least 2
+// columns and rows, 1 ball and 1 frame.
+const benchmarkLimits = { size: 100, balls: 64, frames: 1200 };
+
+/**
+ * Parses a maze size like "40x40".
+ *
+ * @param {string} size - The size as columns 'x' rows.
+ * @returns {Object|undefined} The size with 'columns' and 'rows', or undefined if it cannot be parsed.
+ */
+const parseBenchmarkSize = (size) => {
+    const match = /^(\d+)x(\d+)$/.exec(String(size).trim());
+    if (!match) return undefined;
+    const columns = Number(match[1]);
+    const rows = Number(match[2]);
+    return columns >= 2 && rows >= 2 ? { columns, rows } : undefined;
+};
+
+/**
+ * Runs the collision benchmark.
+ *
+ * @param {Object} [options] - The benchmark options, clamped to 'benchmarkLimits'.
+ * @param {number} [options.columns=40] - The number of columns of the maze.
+ * @param {number} [options.rows=40] - The number of rows of the maze.
+ * @param {number} [options.balls=16] - The number of balls, placed on random cells.
+ * @param {number} [options.frames=600] - The number of simulation steps per run.
+ * @param {string} [options.seed="benchmark"] - The seed of the maze and the ball positions.
+ * @returns {Object} The maze size, the number of walls, balls and frames that were used, and 'results' with one entry
+ *                   per run: { mode, msPerFrame, wallTestsPerFrame }. 'msPerFrame' is the time of a whole simulation
+ *                   step.
+ */
+const runBenchmark = (options = {}) => {
+    const { createWorld, nearbyWalls, step, takeEvents, generateMaze, createRandom } = benchmarkEngine;
+    const { seed = "benchmark" } = options;
+    const clamp = (value, fallback, min, max) => Math.max(min, Math.min(Math.round(value) || fallback, max));
+    const columns = clamp(options.columns, 40, 2, benchmarkLimits.size);
+    const rows = clamp(options.rows, 40, 2, benchmarkLimits.size);
+    const balls = clamp(options.balls, 16, 1, benchmarkLimits.balls);
+    const frames = clamp(options.frames, 600, 1, benchmarkLimits.frames);
+
+    // Balls on distinct random cells, a goal no ball can reach during the benchmark
+    const random = createRandom(seed);
+    const cells = new Set();
+    while (cells.size < Math.min(balls, columns * rows)) {
+        cells.add(Math.floor(random() * columns * rows));
+    }
+    const level = {
+        columns,
+        rows,
+        walls: generateMaze({ seed, columns, rows }),
+        balls: Array.from(cells, (cell) => ({ column: cell % columns, row: Math.floor(cell / columns) })),
+        goals: [{ x: 0, y: 0, size: 0 }],
+    };
+
+    const tiltAt = (frame) => {
+        const angle = Math.floor(frame / tiltChangeInterval) * 2.4;
+        return { gamma: Math.cos(angle) * 30, beta: Math.sin(angle) * 30 };
+    };
+
+    const results = [true, false].map((broadphase) => {
+        const world = createWorld(level, { broadphase });
+        let duration = 0;
+        let wallTests = 0;
+
+        for (let frame = 0; frame < frames; frame++) {
+            wallTests += world.balls.reduce((sum, ball) => {
+                return sum + (broadphase ? nearbyWalls(world.wallGrid, ball).length : world.walls.length);
+            }, 0);
+
+            const start = performance.now();
+            step(world, tiltAt(frame));
+            duration += performance.now() - start;
+            takeEvents(world);
+        }
+
+        return {
+            mode: broadphase ? "grid" : "all walls",
+            msPerFrame: duration / frames,
+            wallTestsPerFrame: wallTests / frames,
+        };
+    });
+
+    return { columns, rows, walls: level.walls.length, balls: level.balls.length, frames, results };
+};
+
+/**
+ * Formats the results of a benchmark as plain text lines.
+ *
+ * @param {Object} report - The report returned by 'runBenchmark'.
+ * @returns {Array} One line for the maze, one line per run and one line for the time the grid saves.
+ */
+const formatBenchmark = (report) => {
+    const [grid, allWalls] = report.results;
+    return [
+        `${report.columns}x${report.rows} maze, ${report.walls} walls, ${report.balls} balls, ${report.frames} frames`,
+        ...report.results.map(({ mode, msPerFrame, wallTestsPerFrame }) =>
+            `${mode}: ${msPerFrame.toFixed(3)} ms per whole step, ${Math.round(wallTestsPerFrame)} wall tests per frame`
+        ),
+        `collision detection saved by the grid: ${(allWalls.msPerFrame - grid.msPerFrame).toFixed(3)} ms per frame`,
+    ];
+};
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { parseBenchmarkSize, runBenchmark, formatBenchmark };
+
+    // Run from the command line
+    if (require.main === module) {
+        const [size = "40x40", balls, frames] = process.argv.slice(2);
+        const parsed = parseBenchmarkSize(size);
+        if (!parsed) {
+            console.error(`Invalid maze size "${size}", expected e.g. 40x40.`);
+            process.exit(1);
+        }
+        const report = runBenchmark({
+            ...parsed,
+            balls: balls ? Number(balls) : undefined,
+            frames: frames ? Number(frames) : undefined,
+        });
+        formatBenchmark(report).forEach((line) => console.log(line));
+    }
+}
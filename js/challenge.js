@@ -0,0 +1,129 @@
+/**
+ * MoCIoT Web App: Challenge Links
+ *
+ * This script turns a maze into a link that opens it on another device, with an optional target time to beat. The maze
+ * travels in the hash of the URL, so the link works on a static deployment without a backend and never reaches a
+ * server:
+ *   https://example.org/maze/#challenge=<payload>
+ * The payload is the JSON below, encoded as base64url (RFC 4648) so it survives chat apps and URL shorteners:
+ *   {
+ *     "version": 1,
+ *     "level": { ... },                     The maze in the level format (js/levels.js). Generated mazes only carry
+ *                                           their seed and size as "generator", hand-made mazes their "walls".
+ *     "targetTime": 12345                   Optional time in milliseconds the run has to beat.
+ *   }
+ *
+ * Links can be edited by anyone, so they are validated like level files and checked with the solver (js/solver.js)
+ * before the maze is played: every ball needs a route to a goal accepting it, and no moving wall may be too fast for
+ * the simulation.
+ */
+
+// Start of the URL hash of challenge links
+const challengeHashPrefix = "#challenge=";
+// Version of the payload, increased whenever old links can no longer be opened
+const challengeVersion = 1;
+// Optional parts of a level that are left out of the link while they are empty
+const optionalLevelParts = ["holes", "movingWalls", "plates", "doors", "materials"];
+
+/**
+ * Encodes a text as base64url, UTF-8 safe so level names may contain any character.
+ *
+ * @param {string} text - The text to encode.
+ * @returns {string} The base64url encoded text, without padding.
+ */
+const toBase64Url = (text) => {
+    const bytes = new TextEncoder().encode(text);
+    const binary = Array.from(bytes, (byte) => String.fromCharCode(byte)).join("");
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+/**
+ * Decodes a base64url encoded text.
+ *
+ * @param {string} encoded - The base64url encoded text, with or without padding.
+ * @returns {string} The decoded text.
+ * @throws {Error} If the text is not valid base64url or not valid UTF-8.
+ */
+const fromBase64Url = (encoded) => {
+    const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+    const bytes = Uint8Array.from(binary, (character) => character.charCodeAt(0));
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+};
+
+/**
+ * Checks whether a URL hash is a challenge link.
+ *
+ * @param {string} hash - The hash of the URL, including the '#'.
+ * @returns {boolean} True if the hash carries a challenge.
+ */
+const isChallengeHash = (hash) => {
+    return hash.startsWith(challengeHashPrefix);
+};
+
+/**
+ * Encodes a maze and an optional target time as the hash of a challenge link.
+ *
+ * @param {Object} level - The resolved level layout, as returned by 'resolveLevel' (js/levels.js).
+ * @param {number} [targetTime] - The time in milliseconds the run has to beat.
+ * @returns {string} The hash, including the '#'.
+ */
+const encodeChallenge = (level, targetTime) => {
+    const definition = {
+        name: level.name,
+        columns: level.columns,
+        rows: level.rows,
+        // The seed is much shorter than the walls it generates
+        ...(level.seed !== undefined ? { generator: { seed: level.seed } } : { walls: level.walls }),
+        balls: level.balls,
+        goals: level.goals,
+    };
+    optionalLevelParts.forEach((part) => {
+        if (level[part].length) {
+            definition[part] = level[part];
+        }
+    });
+    const payload = { version: challengeVersion, level: definition, targetTime };
+    return challengeHashPrefix + toBase64Url(JSON.stringify(payload));
+};
+
+/**
+ * Decodes the hash of a challenge link, checking that the maze is valid and can be solved.
+ *
+ * @param {string} hash - The hash of the URL, including the '#'.
+ * @returns {Object} The challenge { level, targetTime } with the resolved level layout and the optional target time.
+ * @throws {Error} If the link is damaged, the maze is invalid or a ball cannot reach a goal. The message describes the
+ *                 problem for the player.
+ */
+const decodeChallenge = (hash) => {
+    let payload;
+    try {
+        payload = JSON.parse(fromBase64Url(hash.slice(challengeHashPrefix.length)));
+    } catch (error) {
+        throw new Error("The link is incomplete or damaged, copy the whole link and try again.");
+    }
+
+    if (typeof payload !== "object" || payload === null || payload.version !== challengeVersion) {
+        throw new Error(`Only links of version ${challengeVersion} can be opened.`);
+    }
+    const { level, targetTime } = payload;
+    const errors = validateLevel(level);
+    if (targetTime !== undefined && !(Number.isFinite(targetTime) && targetTime > 0)) {
+        errors.push("'targetTime' must be a positive number of milliseconds.");
+    }
+    if (errors.length) {
+        throw new Error(`The link is invalid: ${errors.join(" ")}`);
+    }
+
+    const layout = resolveLevel(level);
+    // Checked on the simulation as well, as a wall moving further than a ball may travel per step freezes the game
+    const world = createWorld(layout);
+    if (world.walls.some((wall) => wall.speed > maxTravel(world.geometry))) {
+        throw new Error("The maze cannot be played: a moving wall is too fast.");
+    }
+    const unreachable = findUnreachableBalls(layout);
+    if (unreachable.length) {
+        const balls = unreachable.map((index) => index + 1).join(", ");
+        throw new Error(`The maze cannot be solved: ${unreachable.length === 1 ? "ball" : "balls"} ${balls} cannot reach a goal.`);
+    }
+    return { level: layout, targetTime };
+};
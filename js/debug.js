@@ -0,0 +1,278 @@
+/**
+ * MoCIoT Web App: Debug Overlay
+ *
+ * This script provides a developer overlay for tuning the physics (js/physics.js) and chasing collision bugs:
+ *   - A readout of the raw and the processed tilt, the acceleration and friction the tilt causes, the frame rate, the
+ *     duration of the last frame in frame units ('timeElapsed' of the physics) and the velocity of every ball.
+ *   - A canvas on top of the maze showing the velocity of every ball as a vector, and the strips and cap circles of
+ *     the walls that the collision detection tests the centers of the balls against. Walls and caps that were hit
+ *     light up for a moment.
+ *   - Pausing the game and running it step by step.
+ *   - Sliders changing the values of the physics profile while playing.
+ *
+ * The overlay only shows and reports, the game decides what pausing, stepping and tuning mean (see js/script.js).
+ * The canvas is drawn flat in logical units of the board. The DOM renderer tilts it together with the maze, the canvas
+ * renderer projects the tilt itself, so there the outlines are slightly off while the board is tilted.
+ */
+
+// Values of the physics profile that can be tuned, with the range of their sliders
+const tunablePhysics = [
+    { key: "gravity", min: 0, max: 0.5, step: 0.005 },
+    { key: "friction", min: 0, max: 0.5, step: 0.001 },
+    { key: "maxVelocity", min: 0.05, max: 1, step: 0.01 },
+    { key: "velocityLimit", min: 0.05, max: 3, step: 0.05 },
+    { key: "wallRestitution", min: 0, max: 1.5, step: 0.01 },
+];
+// Time in milliseconds a wall or cap stays highlighted after it was hit
+const hitHighlightDuration = 400;
+// Length of a velocity vector per unit of velocity (units per frame), i.e. where the ball will be in as many frames
+const velocityVectorScale = 100;
+// Number of frames the frame rate is averaged over
+const frameRateSamples = 30;
+
+/**
+ * Formats a tilt for the readout.
+ *
+ * @param {Object} [tilt] - The tilt with 'gamma' and 'beta' in degrees.
+ * @returns {string} The formatted tilt, a dash without a tilt.
+ */
+const formatTilt = (tilt) => {
+    return tilt ? `γ ${tilt.gamma.toFixed(2)}  β ${tilt.beta.toFixed(2)}` : "-";
+};
+
+/**
+ * Creates the debug overlay.
+ *
+ * @param {Object} options - The overlay options.
+ * @param {HTMLElement} options.mazeElement - The maze element the canvas is placed in.
+ * @param {HTMLElement} options.panelElement - The element containing the readout and the controls.
+ * @param {Function} options.onPause - Called with true to pause the game and false to resume it.
+ * @param {Function} options.onStep - Called when the paused game should run a single step.
+ * @param {Function} options.onTune - Called with the changed values of the physics profile, e.g. { gravity: 0.2 }, or
+ *                                    without values to return to the profile.
+ * @returns {Object} The overlay with 'open', 'close', 'isOpen', 'build', 'update', 'setPaused' and 'showPhysics'
+ *                   methods.
+ */
+const createDebugOverlay = ({ mazeElement, panelElement, onPause, onStep, onTune }) => {
+    const readoutElement = panelElement.querySelector("#debug-readout");
+    const pauseButton = panelElement.querySelector("#debug-pause");
+    const slidersElement = panelElement.querySelector("#debug-sliders");
+
+    let canvas;
+    let context;
+    let paused = false;
+    // Durations of the last frames in milliseconds
+    let frameTimes = [];
+    // Time a wall part was hit last, by "<wall index>:<part>"
+    let hits = new Map();
+
+    const sliders = tunablePhysics.map(({ key, min, max, step }) => {
+        const label = document.createElement("label");
+        const input = document.createElement("input");
+        const value = document.createElement("span");
+        input.type = "range";
+        input.min = min;
+        input.max = max;
+        input.step = step;
+        input.addEventListener("input", () => {
+            value.textContent = input.value;
+            onTune({ [key]: Number(input.value) });
+        });
+        label.append(key, input, value);
+        slidersElement.appendChild(label);
+        return { key, input, value };
+    });
+
+    /**
+     * Shows the values of a physics profile on the sliders.
+     *
+     * @param {Object} physics - The physics profile.
+     */
+    const showPhysics = (physics) => {
+        sliders.forEach(({ key, input, value }) => {
+            input.value = physics[key];
+            value.textContent = String(Number(physics[key].toFixed(4)));
+        });
+    };
+
+    /**
+     * Shows whether the game is paused.
+     *
+     * @param {boolean} value - Whether the game is paused.
+     */
+    const setPaused = (value) => {
+        paused = value;
+        pauseButton.textContent = paused ? "Resume" : "Pause";
+    };
+
+    pauseButton.addEventListener("click", () => {
+        setPaused(!paused);
+        onPause(paused);
+    });
+    panelElement.querySelector("#debug-step").addEventListener("click", () => {
+        if (!paused) {
+            setPaused(true);
+            onPause(true);
+        }
+        onStep();
+    });
+    panelElement.querySelector("#debug-reset-physics").addEventListener("click", () => onTune());
+
+    /**
+     * Writes the readout.
+     *
+     * @param {Object} world - The world state.
+     * @param {Object} frame - See 'update'.
+     */
+    const writeReadout = (world, { tilt, rawTilt, elapsed, steps }) => {
+        frameTimes = frameTimes.concat(elapsed).slice(-frameRateSamples);
+        const averageFrameTime = frameTimes.reduce((sum, time) => sum + time, 0) / frameTimes.length;
+        const forces = tiltForces(world.physics, tilt || { gamma: 0, beta: 0 });
+
+        const lines = [
+            `FPS ${averageFrameTime ? (1000 / averageFrameTime).toFixed(0) : "-"}, frame ${elapsed.toFixed(1)} ms, ` +
+                `timeElapsed ${(elapsed / fixedTimestep).toFixed(2)}, steps ${steps}${paused ? " (paused)" : ""}`,
+            `Raw tilt        ${formatTilt(rawTilt)}`,
+            `Processed tilt  ${formatTilt(tilt)}`,
+            `Acceleration    x ${forces.accelerationX.toFixed(4)}  y ${forces.accelerationY.toFixed(4)}`,
+            `Friction        x ${forces.frictionX.toFixed(4)}  y ${forces.frictionY.toFixed(4)}`,
+        ];
+        world.balls.forEach((ball, index) => {
+            const material = surfaceMaterial(world.surface, ball);
+            lines.push(
+                `Ball ${index + 1}          v ${ball.velocityX.toFixed(3)}, ${ball.velocityY.toFixed(3)}` +
+                    `${material ? ` on ${material}` : ""}${ball.hole !== undefined ? " falling" : ""}`,
+            );
+        });
+        readoutElement.textContent = lines.join("\n");
+    };
+
+    /**
+     * Draws the collision shapes and the velocity vectors.
+     *
+     * @param {Object} world - The world state.
+     * @param {number} now - The current time in milliseconds, for fading out hit highlights.
+     */
+    const draw = (world, now) => {
+        const { wallWidth, ballSize } = world.geometry;
+        // The center of a ball touches a wall at this distance from its center line
+        const reach = wallWidth / 2 + ballSize / 2;
+        const highlight = (key) => Math.max(0, 1 - (now - (hits.get(key) || -Infinity)) / hitHighlightDuration);
+
+        context.clearRect(0, 0, world.width, world.height);
+        context.lineWidth = 1;
+
+        world.walls.forEach((wall, index) => {
+            if (wall.open) return;
+            const end = {
+                x: wall.horizontal ? wall.x + wall.length : wall.x,
+                y: wall.horizontal ? wall.y : wall.y + wall.length,
+            };
+
+            // Strip along the side of the wall
+            const strip = highlight(`${index}:strip`);
+            context.beginPath();
+            if (wall.horizontal) {
+                context.rect(wall.x, wall.y - reach, wall.length, reach * 2);
+            } else {
+                context.rect(wall.x - reach, wall.y, reach * 2, wall.length);
+            }
+            context.fillStyle = `rgba(255, 0, 0, ${strip * 0.5})`;
+            context.fill();
+            context.strokeStyle = "rgba(0, 123, 255, 0.5)";
+            context.stroke();
+
+            // Caps at both ends
+            [["start", wall], ["end", end]].forEach(([part, { x, y }]) => {
+                context.beginPath();
+                context.arc(x, y, reach, 0, Math.PI * 2);
+                context.fillStyle = `rgba(255, 0, 0, ${highlight(`${index}:${part}`) * 0.5})`;
+                context.fill();
+                context.strokeStyle = "rgba(255, 152, 0, 0.6)";
+                context.stroke();
+            });
+        });
+
+        context.lineWidth = 2;
+        context.strokeStyle = "#00c853";
+        world.balls.forEach((ball) => {
+            context.beginPath();
+            context.moveTo(ball.x, ball.y);
+            context.lineTo(ball.x + ball.velocityX * velocityVectorScale, ball.y + ball.velocityY * velocityVectorScale);
+            context.stroke();
+        });
+    };
+
+    return {
+        /**
+         * Shows the overlay on top of the maze.
+         *
+         * @param {Object} world - The world state, for the size of the board and the current physics.
+         * @param {number} scale - The number of CSS pixels per logical unit.
+         */
+        open(world, scale) {
+            if (canvas) return;
+            canvas = document.createElement("canvas");
+            canvas.setAttribute("id", "debug-canvas");
+            context = canvas.getContext("2d");
+            mazeElement.appendChild(canvas);
+            panelElement.hidden = false;
+            this.build(world, scale);
+        },
+        /**
+         * Removes the overlay. A paused game is resumed.
+         */
+        close() {
+            if (!canvas) return;
+            canvas.remove();
+            canvas = undefined;
+            panelElement.hidden = true;
+            frameTimes = [];
+            hits = new Map();
+            if (paused) {
+                setPaused(false);
+                onPause(false);
+            }
+        },
+        isOpen() {
+            return Boolean(canvas);
+        },
+        /**
+         * Sizes the canvas to the board, e.g. after the level changed or the window was resized.
+         *
+         * @param {Object} world - The world state.
+         * @param {number} scale - The number of CSS pixels per logical unit.
+         */
+        build(world, scale) {
+            if (!canvas) return;
+            const pixelRatio = (window.devicePixelRatio || 1) * scale;
+            canvas.width = Math.round(world.width * pixelRatio);
+            canvas.height = Math.round(world.height * pixelRatio);
+            context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+            showPhysics(world.physics);
+            draw(world, performance.now());
+        },
+        /**
+         * Updates the readout and the drawing after a frame of the game.
+         *
+         * @param {Object} world - The world state after the frame.
+         * @param {Object} frame - The frame.
+         * @param {Object} [frame.tilt] - The tilt used by the simulation.
+         * @param {Object} [frame.rawTilt] - The tilt before it was processed, if the input source provides it.
+         * @param {number} frame.elapsed - The duration of the frame in milliseconds.
+         * @param {number} frame.steps - The number of simulation steps run during the frame.
+         * @param {Array} frame.events - The events of the simulation steps of the frame.
+         */
+        update(world, frame) {
+            if (!canvas) return;
+            const now = performance.now();
+            frame.events
+                .filter((event) => event.type === "wallHit")
+                .forEach((event) => hits.set(`${event.wall}:${event.part}`, now));
+            writeReadout(world, frame);
+            draw(world, now);
+        },
+        setPaused,
+        showPhysics,
+    };
+};
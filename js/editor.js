@@ -0,0 +1,478 @@
+/**
+ * MoCIoT Web App: Visual Level Editor
+ *
+ * This script provides an editor mode for designing levels directly on the board instead of hand-editing grid
+ * coordinates. The editor works on a copy of a level in the level format (see js/levels.js) and lets the game render it
+ * after every change, so the board always shows exactly what will be played.
+ *
+ * Editing:
+ *   - Clicking close to the edge between two cells toggles the wall segment there. The border cannot be removed.
+ *   - Dragging a ball moves its start cell, double-clicking it removes the ball.
+ *   - Dragging a hole moves it, double-clicking it removes the hole.
+ *   - Dragging a goal moves it in steps of half a cell.
+ *   - The panel sets the level name and the size of all goals, adds balls and holes, and exports or imports the level
+ *     as a JSON file. Colors of balls and goals, moving walls, plates, doors and materials (see js/levels.js) are kept,
+ *     they can be set in the level file. New balls in levels with colors get the color of a goal.
+ *   - A change that would make the level invalid is undone, and the player is told why.
+ *
+ * Internally, walls are kept as a set of single-cell segments, which makes toggling trivial. They are merged into as
+ * few wall descriptors as possible whenever the level is handed out.
+ */
+
+// Distance from a grid line, in cells, within which a click toggles the wall segment on that line
+const edgeTolerance = 0.2;
+
+/**
+ * Creates the key of a single-cell wall segment.
+ *
+ * @param {boolean} horizontal - Whether the segment is horizontal.
+ * @param {number} column - The column of the segment's start.
+ * @param {number} row - The row of the segment's start.
+ * @returns {string} The key identifying the segment.
+ */
+const segmentKey = (horizontal, column, row) => {
+    return `${horizontal ? "h" : "v"}${column},${row}`;
+};
+
+/**
+ * Escapes a text for use in HTML, e.g. the name of an imported level in a message.
+ *
+ * @param {string} text - The text, which may contain markup.
+ * @returns {string} The text with the characters special to HTML replaced by entities.
+ */
+const escapeHtml = (text) => {
+    const element = document.createElement("span");
+    element.textContent = text;
+    return element.innerHTML.replace(/"/g, "&quot;");
+};
+
+/**
+ * Splits wall descriptors into single-cell segments.
+ *
+ * @param {Array} walls - The wall descriptors, each with 'column', 'row', 'horizontal' and 'length'.
+ * @returns {Set} The keys of all segments covered by the walls.
+ */
+const splitWalls = (walls) => {
+    const segments = new Set();
+    walls.forEach(({ column, row, horizontal, length }) => {
+        for (let i = 0; i < length; i++) {
+            segments.add(horizontal ? segmentKey(true, column + i, row) : segmentKey(false, column, row + i));
+        }
+    });
+    return segments;
+};
+
+/**
+ * Merges single-cell segments into wall descriptors, line by line.
+ *
+ * @param {Set} segments - The keys of the segments.
+ * @param {number} columns - The number of columns of the grid.
+ * @param {number} rows - The number of rows of the grid.
+ * @returns {Array} The wall descriptors.
+ */
+const mergeWalls = (segments, columns, rows) => {
+    const walls = [];
+
+    for (let row = 0; row <= rows; row++) {
+        const line = Array.from({ length: columns }, (_, column) => segments.has(segmentKey(true, column, row)));
+        walls.push(...mergeSegments(line, (column, length) => ({ column, row, horizontal: true, length })));
+    }
+
+    for (let column = 0; column <= columns; column++) {
+        const line = Array.from({ length: rows }, (_, row) => segments.has(segmentKey(false, column, row)));
+        walls.push(...mergeSegments(line, (row, length) => ({ column, row, horizontal: false, length })));
+    }
+
+    return walls;
+};
+
+/**
+ * Creates the level editor.
+ * The editor does not render the level itself, it hands every change to 'onChange' and relies on the game to draw it.
+ * On top of the maze it places a transparent overlay that receives all pointer events while editing.
+ *
+ * @param {Object} options - The editor options.
+ * @param {HTMLElement} options.mazeElement - The maze element the level is rendered in.
+ * @param {HTMLElement} options.panelElement - The element containing the editor controls.
+ * @param {Function} options.onChange - Called with the edited level (level format) after every change.
+ * @param {Function} options.onPlaytest - Called with the edited level when the level should be played.
+ * @param {Function} options.onMessage - Called with a message (HTML) for the player, e.g. when an import fails.
+ * @returns {Object} The editor with 'open', 'close', 'isOpen' and 'getLevel' methods.
+ */
+const createLevelEditor = ({ mazeElement, panelElement, onChange, onPlaytest, onMessage }) => {
+    const nameInput = panelElement.querySelector("#editor-name");
+    const goalSizeInput = panelElement.querySelector("#editor-goal-size");
+    const importInput = panelElement.querySelector("#editor-import-file");
+
+    let overlay;
+    let level;
+    let segments;
+    // Last edited level that passed the validation, restored when a change would make the level invalid
+    let lastValid;
+    // Ball, hole or goal currently dragged
+    let dragging;
+
+    /**
+     * Builds the edited level in the level format.
+     *
+     * @returns {Object} The level.
+     */
+    const getLevel = () => {
+        return {
+            // The name is only checked on export, an empty name must not stop the board from being rendered
+            name: level.name.trim() || "Untitled level",
+            columns: level.columns,
+            rows: level.rows,
+            walls: mergeWalls(segments, level.columns, level.rows),
+            balls: level.balls.map(({ column, row, color }) => ({ column, row, color })),
+            goals: level.goals.map((goal) => ({ ...goal })),
+            holes: level.holes.map(({ column, row }) => ({ column, row })),
+            movingWalls: level.movingWalls,
+            plates: level.plates,
+            doors: level.doors,
+            materials: level.materials,
+        };
+    };
+
+    /**
+     * Checks whether a hole in a cell would reach into a goal zone, which the level format does not allow.
+     *
+     * @param {Object} cell - The cell with 'column' and 'row'.
+     * @param {Array} [goals=level.goals] - The goal zones, each with 'x', 'y' and 'size'.
+     * @returns {boolean} True if the hole would overlap a goal zone.
+     */
+    const holeOverlapsGoal = ({ column, row }, goals = level.goals) => {
+        return goals.some((goal) => {
+            const reach = goal.size / 2 + holeSize / 2;
+            return Math.abs(column + 0.5 - goal.x) < reach && Math.abs(row + 0.5 - goal.y) < reach;
+        });
+    };
+
+    /**
+     * Finds the ball or hole in a cell.
+     *
+     * @param {Array} items - The balls or holes, each with 'column' and 'row'.
+     * @param {number} column - The column of the cell.
+     * @param {number} row - The row of the cell.
+     * @returns {number} The index of the item, -1 if the cell is free.
+     */
+    const indexAt = (items, column, row) => {
+        return items.findIndex((item) => item.column === column && item.row === row);
+    };
+
+    /**
+     * Hands the edited level to 'onChange'. A change that makes the level invalid, e.g. a hole moved onto a plate, is
+     * undone instead and the player is told why, so the game only ever gets levels it can build.
+     */
+    const changed = () => {
+        const edited = getLevel();
+        const errors = validateLevel(edited);
+        if (!errors.length) {
+            lastValid = edited;
+            onChange(edited);
+            return;
+        }
+
+        if (lastValid) {
+            // The name is only checked on export, so the one being typed stays
+            const { name } = level;
+            load(lastValid);
+            level.name = name;
+            nameInput.value = name;
+        }
+        onMessage(`This change is not possible. <p>${errors.join(" ")}</p>`);
+    };
+
+    /**
+     * Converts the pointer position of an event into grid units.
+     *
+     * @param {PointerEvent|MouseEvent} event - The pointer event.
+     * @returns {Object} The position with 'x' and 'y' in grid units.
+     */
+    const gridPosition = (event) => {
+        const rect = overlay.getBoundingClientRect();
+        return {
+            x: ((event.clientX - rect.left) / rect.width) * level.columns,
+            y: ((event.clientY - rect.top) / rect.height) * level.rows,
+        };
+    };
+
+    /**
+     * Finds the inner wall segment close to a position, if any.
+     *
+     * @param {Object} position - The position in grid units.
+     * @returns {Object|undefined} The segment with 'horizontal', 'column' and 'row', or undefined if the position is not
+     *                             close to an inner grid line.
+     */
+    const edgeAt = ({ x, y }) => {
+        const distanceX = Math.abs(x - Math.round(x));
+        const distanceY = Math.abs(y - Math.round(y));
+        if (Math.min(distanceX, distanceY) > edgeTolerance) return undefined;
+
+        const edge = distanceX < distanceY
+            ? { horizontal: false, column: Math.round(x), row: Math.floor(y) }
+            : { horizontal: true, column: Math.floor(x), row: Math.round(y) };
+
+        // The border is part of every level
+        const line = edge.horizontal ? edge.row : edge.column;
+        const lastLine = edge.horizontal ? level.rows : level.columns;
+        if (line <= 0 || line >= lastLine) return undefined;
+        if (edge.column < 0 || edge.column >= level.columns || edge.row < 0 || edge.row >= level.rows) return undefined;
+        return edge;
+    };
+
+    const onPointerDown = (event) => {
+        // The pointer input source must not tilt the maze while editing
+        event.stopPropagation();
+
+        const position = gridPosition(event);
+        const cell = { column: Math.floor(position.x), row: Math.floor(position.y) };
+        const ballIndex = indexAt(level.balls, cell.column, cell.row);
+        const holeIndex = indexAt(level.holes, cell.column, cell.row);
+        const goalIndex = level.goals.findIndex((goal) =>
+            Math.abs(position.x - goal.x) <= goal.size / 2 && Math.abs(position.y - goal.y) <= goal.size / 2
+        );
+        const edge = edgeAt(position);
+
+        if (ballIndex !== -1 && !edge) {
+            dragging = { type: "ball", index: ballIndex };
+        } else if (holeIndex !== -1 && !edge) {
+            dragging = { type: "hole", index: holeIndex };
+        } else if (goalIndex !== -1 && !edge) {
+            dragging = { type: "goal", index: goalIndex };
+        } else if (edge) {
+            const key = segmentKey(edge.horizontal, edge.column, edge.row);
+            if (!segments.delete(key)) {
+                segments.add(key);
+            }
+            changed();
+            return;
+        } else {
+            return;
+        }
+        overlay.setPointerCapture(event.pointerId);
+    };
+
+    const onPointerMove = (event) => {
+        event.stopPropagation();
+        if (!dragging) return;
+
+        const position = gridPosition(event);
+        if (dragging.type === "ball" || dragging.type === "hole") {
+            const column = Math.min(Math.max(Math.floor(position.x), 0), level.columns - 1);
+            const row = Math.min(Math.max(Math.floor(position.y), 0), level.rows - 1);
+            const item = dragging.type === "ball" ? level.balls[dragging.index] : level.holes[dragging.index];
+            // Balls and holes cannot share a cell, and holes must stay out of the goal zone
+            const occupied =
+                indexAt(level.balls, column, row) !== -1 ||
+                indexAt(level.holes, column, row) !== -1 ||
+                (dragging.type === "hole" && holeOverlapsGoal({ column, row }));
+            if (!occupied && (item.column !== column || item.row !== row)) {
+                item.column = column;
+                item.row = row;
+                changed();
+            }
+        } else {
+            // Snap to half cells and keep the goal zone on the board
+            const goal = level.goals[dragging.index];
+            const half = goal.size / 2;
+            const x = Math.min(Math.max(Math.round(position.x * 2) / 2, half), level.columns - half);
+            const y = Math.min(Math.max(Math.round(position.y * 2) / 2, half), level.rows - half);
+            const moved = { ...goal, x, y };
+            if ((x !== goal.x || y !== goal.y) && !level.holes.some((hole) => holeOverlapsGoal(hole, [moved]))) {
+                goal.x = x;
+                goal.y = y;
+                changed();
+            }
+        }
+    };
+
+    const onPointerUp = (event) => {
+        event.stopPropagation();
+        dragging = undefined;
+    };
+
+    const onDoubleClick = (event) => {
+        const position = gridPosition(event);
+        const column = Math.floor(position.x);
+        const row = Math.floor(position.y);
+        const ballIndex = indexAt(level.balls, column, row);
+        const holeIndex = indexAt(level.holes, column, row);
+        // A level needs at least one ball
+        if (ballIndex !== -1 && level.balls.length > 1) {
+            level.balls.splice(ballIndex, 1);
+            changed();
+        } else if (holeIndex !== -1) {
+            level.holes.splice(holeIndex, 1);
+            changed();
+        }
+    };
+
+    /**
+     * Adds a ball or a hole on the first free cell, scanning the grid row by row.
+     * In levels with colors, a new ball gets the color of the first colored goal, as every ball needs a goal of its
+     * color.
+     *
+     * @param {string} type - What to add, "ball" or "hole".
+     */
+    const addItem = (type) => {
+        const coloredGoal = level.goals.find((goal) => goal.color !== undefined);
+        for (let row = 0; row < level.rows; row++) {
+            for (let column = 0; column < level.columns; column++) {
+                const free =
+                    indexAt(level.balls, column, row) === -1 &&
+                    indexAt(level.holes, column, row) === -1 &&
+                    (type === "ball" || !holeOverlapsGoal({ column, row }));
+                if (free) {
+                    if (type === "ball") {
+                        level.balls.push({ column, row, color: coloredGoal && coloredGoal.color });
+                    } else {
+                        level.holes.push({ column, row });
+                    }
+                    changed();
+                    return;
+                }
+            }
+        }
+    };
+
+    /**
+     * Removes all inner walls, only the border stays.
+     */
+    const clearWalls = () => {
+        segments = splitWalls([
+            { column: 0, row: 0, horizontal: true, length: level.columns },
+            { column: 0, row: 0, horizontal: false, length: level.rows },
+            { column: 0, row: level.rows, horizontal: true, length: level.columns },
+            { column: level.columns, row: 0, horizontal: false, length: level.rows },
+        ]);
+        changed();
+    };
+
+    /**
+     * Downloads the edited level as a JSON file named after the level.
+     */
+    const exportLevel = () => {
+        const exported = getLevel();
+        const errors = validateLevel(exported);
+        if (errors.length) {
+            onMessage(`The level cannot be exported. <p>${errors.join(" ")}</p>`);
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(exported, null, 4)], { type: "application/json" });
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(blob);
+        link.download = `${exported.name.trim().toLowerCase().replace(/[^a-z0-9]+/g, "-") || "level"}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    };
+
+    /**
+     * Reads a level file chosen by the player and loads it into the editor.
+     * Levels using the generator are resolved, so their walls can be edited like hand-made ones.
+     *
+     * @param {File} file - The chosen file.
+     */
+    const importLevel = async (file) => {
+        try {
+            load(resolveLevel(JSON.parse(await file.text())));
+            // Level files can come from anyone, so nothing of them is parsed as HTML
+            onMessage(`Imported "${escapeHtml(level.name)}".`);
+        } catch (error) {
+            onMessage(`The file could not be imported. <p>${escapeHtml(error.message)}</p>`);
+        }
+    };
+
+    /**
+     * Loads a level into the editor and renders it.
+     *
+     * @param {Object} source - The level in the level format, with 'walls' rather than 'generator'.
+     */
+    const load = (source) => {
+        level = {
+            name: source.name,
+            columns: source.columns,
+            rows: source.rows,
+            balls: source.balls.map(({ column, row, color }) => ({ column, row, color })),
+            goals: source.goals.map((goal) => ({ ...goal })),
+            holes: (source.holes || []).map(({ column, row }) => ({ column, row })),
+            // Kept as they are, they can only be changed in the level file
+            movingWalls: JSON.parse(JSON.stringify(source.movingWalls || [])),
+            plates: (source.plates || []).map(({ column, row }) => ({ column, row })),
+            doors: (source.doors || []).map((door) => ({ ...door })),
+            materials: (source.materials || []).map(({ column, row, material }) => ({ column, row, material })),
+        };
+        segments = splitWalls(source.walls);
+        nameInput.value = level.name;
+        goalSizeInput.value = level.goals[0].size;
+        changed();
+    };
+
+    nameInput.addEventListener("input", () => {
+        level.name = nameInput.value;
+    });
+    // The size applies to all goals
+    goalSizeInput.addEventListener("change", () => {
+        const size = parseFloat(goalSizeInput.value);
+        const resized = level.goals.map((goal) => ({ ...goal, size }));
+        if (size > 0 && size <= Math.min(level.columns, level.rows) &&
+            !level.holes.some((hole) => holeOverlapsGoal(hole, resized))) {
+            level.goals = resized;
+            changed();
+        } else {
+            goalSizeInput.value = level.goals[0].size;
+        }
+    });
+    panelElement.querySelector("#editor-add-ball").addEventListener("click", () => addItem("ball"));
+    panelElement.querySelector("#editor-add-hole").addEventListener("click", () => addItem("hole"));
+    panelElement.querySelector("#editor-clear").addEventListener("click", clearWalls);
+    panelElement.querySelector("#editor-export").addEventListener("click", exportLevel);
+    panelElement.querySelector("#editor-import").addEventListener("click", () => importInput.click());
+    panelElement.querySelector("#editor-playtest").addEventListener("click", () => onPlaytest(getLevel()));
+    importInput.addEventListener("change", () => {
+        if (importInput.files.length) {
+            importLevel(importInput.files[0]);
+        }
+        // Allows importing the same file again
+        importInput.value = "";
+    });
+
+    return {
+        /**
+         * Opens the editor with a level.
+         * If the editor was only left for a playtest, pass no level to continue where editing stopped.
+         *
+         * @param {Object} [source] - The level to edit, with 'walls' rather than 'generator'.
+         */
+        open(source) {
+            if (source || !level) {
+                load(source);
+            } else {
+                changed();
+            }
+
+            overlay = document.createElement("div");
+            overlay.setAttribute("id", "editor-overlay");
+            overlay.addEventListener("pointerdown", onPointerDown);
+            overlay.addEventListener("pointermove", onPointerMove);
+            overlay.addEventListener("pointerup", onPointerUp);
+            overlay.addEventListener("pointercancel", onPointerUp);
+            overlay.addEventListener("dblclick", onDoubleClick);
+            mazeElement.appendChild(overlay);
+            panelElement.hidden = false;
+        },
+        close() {
+            dragging = undefined;
+            if (overlay) {
+                overlay.remove();
+                overlay = undefined;
+            }
+            panelElement.hidden = true;
+        },
+        isOpen() {
+            return Boolean(overlay);
+        },
+        getLevel,
+    };
+};
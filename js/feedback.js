@@ -0,0 +1,182 @@
+/**
+ * MoCIoT Web App: Sound and Vibration Feedback
+ *
+ * This script turns the events of the simulation (js/physics.js) into feedback the player can hear and feel:
+ *   - wallHit / ballHit: A short click whose volume and vibration grow with the strength of the impact. The click is
+ *     panned to the side of the board the ball is on, so it can be told which ball hit something.
+ *   - goalEntered: A chime when a ball enters the goal zone.
+ *   - platePressed / plateReleased: A low thud when a pressure plate opens or closes its doors.
+ *   - A fanfare when the level is won.
+ * Sounds are synthesized with the Web Audio API, so no audio files are needed. Vibration uses the Vibration API, which
+ * is only available on some (mostly Android) phones.
+ *
+ * Sound and vibration can be turned off separately (see 'feedbackSettings'), the settings are stored across reloads.
+ * Browsers only allow audio after a user gesture, so 'unlockAudio' has to be called from one (e.g. the Start button).
+ */
+
+// localStorage key of the feedback settings
+const feedbackSettingsStorageKey = "mazeGame.feedbackSettings";
+// Change of velocity (units per frame) of the hardest impact, a ball at full speed bouncing straight back
+const maxImpactStrength = 0.5;
+// Loudness of the hardest impact (0 to 1)
+const impactVolume = 0.4;
+// Loudness of every note of the chime and the fanfare (0 to 1)
+const chimeVolume = 0.25;
+
+/*
+Settings of the feedback:
+  - sound: Whether impacts, the goal and a win can be heard.
+  - vibration: Whether impacts, the goal and a win let the device vibrate.
+*/
+const feedbackSettings = {
+    sound: true,
+    vibration: true,
+};
+
+// Audio context, created by 'unlockAudio'
+let audioContext;
+
+/**
+ * Reads the feedback settings from localStorage into 'feedbackSettings'.
+ * Missing or broken values, or unavailable storage (e.g. in private mode), keep the defaults.
+ */
+const loadFeedbackSettings = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(feedbackSettingsStorageKey)) || {};
+        if (typeof stored.sound === "boolean") feedbackSettings.sound = stored.sound;
+        if (typeof stored.vibration === "boolean") feedbackSettings.vibration = stored.vibration;
+    } catch (error) {
+        // Keep the defaults
+    }
+};
+
+/**
+ * Stores the current feedback settings in localStorage.
+ */
+const saveFeedbackSettings = () => {
+    try {
+        localStorage.setItem(feedbackSettingsStorageKey, JSON.stringify(feedbackSettings));
+    } catch (error) {
+        console.error(error);
+    }
+};
+
+/**
+ * Creates the audio context, or resumes it if the browser suspended it. Must be called in response to a user gesture.
+ */
+const unlockAudio = () => {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+
+    if (!audioContext) {
+        audioContext = new AudioContext();
+    }
+    if (audioContext.state === "suspended") {
+        audioContext.resume().catch(console.error);
+    }
+};
+
+/**
+ * Lets the device vibrate, if the player wants it and the device can.
+ *
+ * @param {number|Array} pattern - The duration in milliseconds, or alternating durations of vibration and pause.
+ */
+const vibrate = (pattern) => {
+    if (feedbackSettings.vibration && typeof navigator.vibrate === "function") {
+        navigator.vibrate(pattern);
+    }
+};
+
+/**
+ * Plays a single tone with a sharp attack that fades out.
+ *
+ * @param {Object} tone - The tone.
+ * @param {number} tone.frequency - The pitch in Hz.
+ * @param {number} tone.volume - The peak volume, from 0 to 1.
+ * @param {number} tone.duration - The time until the tone faded out, in seconds.
+ * @param {number} [tone.delay=0] - The time until the tone starts, in seconds.
+ * @param {number} [tone.pan=0] - The position in the stereo field, from -1 (left) to 1 (right).
+ * @param {string} [tone.type="sine"] - The waveform of the oscillator.
+ */
+const playTone = ({ frequency, volume, duration, delay = 0, pan = 0, type = "sine" }) => {
+    if (!feedbackSettings.sound || !audioContext || audioContext.state !== "running") return;
+
+    const start = audioContext.currentTime + delay;
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.type = type;
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(volume, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+
+    oscillator.connect(gain);
+    // Older Safari versions cannot pan
+    if (audioContext.createStereoPanner) {
+        const panner = audioContext.createStereoPanner();
+        panner.pan.value = pan;
+        gain.connect(panner);
+        panner.connect(audioContext.destination);
+    } else {
+        gain.connect(audioContext.destination);
+    }
+
+    oscillator.start(start);
+    oscillator.stop(start + duration);
+};
+
+/**
+ * Gives feedback for the events of the simulation steps of one frame.
+ * Only impacts that count as wall hits for the score (js/scores.js) are played, so balls resting against a wall are
+ * silent, and only the hardest impact of a frame, so several impacts at once do not add up to a buzz.
+ *
+ * @param {Array} events - The events taken from the world state.
+ * @param {Object} world - The world state, for the positions of the balls and the size of the board.
+ */
+const playFeedback = (events, world) => {
+    const impact = events
+        .filter((event) => (event.type === "wallHit" || event.type === "ballHit") && event.strength >= minWallHitStrength)
+        .reduce((hardest, event) => (!hardest || event.strength > hardest.strength ? event : hardest), undefined);
+
+    if (impact) {
+        const intensity = Math.min(impact.strength / maxImpactStrength, 1);
+        const ball = world.balls[impact.ball];
+        playTone({
+            // Balls hitting each other sound higher than balls hitting a wall
+            frequency: impact.type === "wallHit" ? 220 : 660,
+            volume: impactVolume * intensity,
+            duration: 0.05 + 0.05 * intensity,
+            pan: minmax((ball.x / world.width) * 2 - 1, 1),
+            type: "triangle",
+        });
+        vibrate(Math.round(10 + 30 * intensity));
+    }
+
+    if (events.some((event) => event.type === "goalEntered")) {
+        // Two rising notes
+        playTone({ frequency: 880, volume: chimeVolume, duration: 0.3 });
+        playTone({ frequency: 1320, volume: chimeVolume, duration: 0.4, delay: 0.1 });
+        vibrate([20, 40, 20]);
+    }
+
+    const plate = events.find((event) => event.type === "platePressed" || event.type === "plateReleased");
+    if (plate) {
+        // Falling when a plate is released, so opening and closing doors can be told apart
+        playTone({
+            frequency: plate.type === "platePressed" ? 110 : 82.5,
+            volume: chimeVolume,
+            duration: 0.15,
+            type: "square",
+        });
+        vibrate(15);
+    }
+};
+
+/**
+ * Plays the fanfare of a won level, a rising major chord.
+ */
+const playFanfare = () => {
+    [523.25, 659.25, 783.99, 1046.5].forEach((frequency, index) => {
+        playTone({ frequency, volume: chimeVolume, duration: index === 3 ? 0.8 : 0.3, delay: index * 0.15, type: "triangle" });
+    });
+    vibrate([60, 40, 60, 40, 150]);
+};
@@ -0,0 +1,495 @@
+/**
+ * MoCIoT Web App: Embeddable Game
+ *
+ * This script provides 'createMazeGame', which creates a complete game on any element of a page: the board, its
+ * renderer (js/renderers.js), the game loop driving the simulation (js/physics.js), the recording of runs
+ * (js/replay.js) and the sound and vibration feedback (js/feedback.js). All state lives in the instance, so any number
+ * of games can run side by side on one page. The page of the web app (js/script.js) is built on a single instance.
+ *
+ * Embedding the game:
+ *   const game = createMazeGame(document.getElementById("my-maze"), {
+ *       level: resolveLevel(levelJson),
+ *       input: "keyboard",
+ *   });
+ *   game.on("win", ({ time }) => console.log(`Won after ${formatTime(time)}`));
+ *   game.start();
+ * The page needs css/styles.css and the scripts the game builds on, loaded in the order of index.html.
+ *
+ * States of a game:
+ *   idle ──start──> countdown ──3, 2, 1──> playing ──> won or failed ──reset──> idle
+ *                        ^                    │
+ *                        └──resume── paused <─┘ pause, also from the countdown
+ * Every state returns to idle on a reset. A game only has one loop of animation frames, which runs during the
+ * countdown and while playing. The game pauses by itself while its page is hidden or loses the focus, and counts down
+ * again once the player is back, so no time is lost in the background and the balls do not jump afterwards.
+ * Replays start playing right away.
+ *
+ * Events, registered with 'on(type, listener)'. Every listener is called with a single object:
+ *   - levelLoaded { level }                  A level was loaded and drawn.
+ *   - build { scale }                        The board was drawn from scratch, e.g. for a new level or after a resize.
+ *   - stateChange { state, previous }        The game entered another state, see above.
+ *   - start {}, reset {}, resume {}
+ *   - pause { automatic }                    The game was paused, 'automatic' while its page is in the background.
+ *   - countdown { seconds }                  The countdown shows another number of seconds.
+ *   - wallHit, ballHit, ballFell, platePressed, plateReleased
+ *                                            The events of the simulation (see js/physics.js), with their details.
+ *   - ballEnteredGoal { ball, goal }         A ball entered a goal accepting it ('goalEntered' of the simulation).
+ *   - frame { elapsed, steps, tilt, events } After every frame of the loop and every single step of a paused game.
+ *   - win { time, wallHits, recording, replay }
+ *                                            Every ball reached a goal. 'recording' is the recording of the run (not
+ *                                            set for replays), 'replay' tells whether a replay was won.
+ *   - fail { time }                          The last life was used up.
+ *   - replayDiverged {}                      A replay did not end like the recorded run.
+ */
+
+// Space kept free around the board in CSS pixels
+const boardMargin = 20;
+// Smallest number of CSS pixels per logical unit, tiny windows get a board that can be scrolled to
+const minBoardScale = 0.25;
+// Events of the simulation that are emitted under another name
+const renamedEvents = { goalEntered: "ballEnteredGoal" };
+// Length of the countdown before the game starts or resumes, in milliseconds
+const countdownDuration = 3000;
+
+/**
+ * Creates a game on an element of the page.
+ *
+ * @param {HTMLElement} container - The element the board is placed in. It gets the perspective of the tilted board.
+ * @param {Object} [options] - The game options.
+ * @param {Object} [options.level] - The level to load right away, as returned by 'resolveLevel' (js/levels.js).
+ * @param {string} [options.renderer="dom"] - The name of the renderer, one of the keys of 'renderers'.
+ * @param {string} [options.input] - The name of an input source the game starts itself, one of the keys of
+ *                                   'inputSources' (js/input.js). Without it, the tilt is set with 'setTilt'.
+ * @param {Object|Function} [options.worldOptions={}] - The simulation options for 'createWorld', or a function
+ *                                                      returning them. A function is called for every new game, so
+ *                                                      changed options apply from the next reset.
+ * @param {boolean} [options.feedback=true] - Whether impacts, goals and wins play sounds and vibrate.
+ * @param {boolean} [options.autoPause=true] - Whether the game pauses while its page is hidden or loses the focus.
+ * @param {Function} [options.availableSize] - Returns the { width, height } in CSS pixels the board may fill, by
+ *                                             default the width of the container and the height of the window.
+ * @returns {Object} The game with 'start', 'reset', 'pause', 'resume', 'step', 'loadLevel', 'replay', 'setTilt',
+ *                   'setRenderer', 'showRoute', 'isRunning', 'isPaused', 'isReplaying', 'on', 'off' and 'destroy'
+ *                   methods, and the read-only properties 'element' (the maze element), 'state', 'level', 'world',
+ *                   'scale' (CSS pixels per logical unit), 'tilt' (the tilt shown on the board) and 'wallHits' (the
+ *                   wall hits of the current run that count for the score).
+ */
+const createMazeGame = (container, options = {}) => {
+    const {
+        renderer: rendererName = "dom",
+        input,
+        worldOptions = {},
+        feedback = true,
+        autoPause = true,
+        availableSize = () => ({ width: container.clientWidth, height: window.innerHeight }),
+    } = options;
+
+    const mazeElement = document.createElement("div");
+    mazeElement.setAttribute("class", "maze");
+    container.classList.add("maze-game");
+    container.appendChild(mazeElement);
+    // Seconds left of the countdown, on top of the board
+    const countdownElement = document.createElement("div");
+    countdownElement.setAttribute("class", "countdown");
+    countdownElement.hidden = true;
+    mazeElement.appendChild(countdownElement);
+
+    // Listeners by event type
+    const listeners = new Map();
+    let renderer = renderers[rendererName](mazeElement);
+    let inputSource;
+    let level;
+    let world;
+    let scale = 1;
+    let state = "idle";
+    // Whether the game was paused because its page went to the background, so it resumes once the player is back
+    let pausedAutomatically = false;
+    // Time left of the countdown in milliseconds
+    let countdownLeft = 0;
+    let previousTimestamp;
+    let animationFrame;
+    let resizeFrame;
+    // Latest tilt set by the input, undefined until there is one
+    let currentTilt;
+    // Tilt used in the last simulation step
+    let lastStepTilt;
+    // Recorder of the current run, and the player feeding a recording into the simulation during a replay
+    let recorder;
+    let player;
+    let wallHits = 0;
+
+    /**
+     * Calls the listeners of an event.
+     *
+     * @param {string} type - The type of the event.
+     * @param {Object} [detail={}] - The details passed to the listeners.
+     */
+    const emit = (type, detail = {}) => {
+        (listeners.get(type) || []).slice().forEach((listener) => listener(detail));
+    };
+
+    const currentWorldOptions = () => {
+        return typeof worldOptions === "function" ? worldOptions() : worldOptions;
+    };
+
+    // During a replay the recorded tilt is shown
+    const shownTilt = () => (player ? lastStepTilt : currentTilt);
+
+    /**
+     * Scales the board to fill the available space, keeping a margin around it, and draws it from scratch.
+     * The simulation keeps running in logical units (js/physics.js), only the drawing and the perspective are scaled.
+     */
+    const build = () => {
+        const { width, height } = availableSize();
+        scale = Math.max(
+            Math.min((width - boardMargin * 2) / world.width, (height - boardMargin * 2) / world.height),
+            minBoardScale,
+        );
+        container.style.perspective = `${viewerDistance * scale}px`;
+        renderer.build(world, scale);
+        renderer.render(world, shownTilt());
+        emit("build", { scale });
+    };
+
+    const handleResize = () => {
+        if (!world || resizeFrame) return;
+        // At most once per frame
+        resizeFrame = window.requestAnimationFrame(() => {
+            resizeFrame = undefined;
+            build();
+        });
+    };
+    window.addEventListener("resize", handleResize);
+
+    /**
+     * Switches to another state, starting or stopping the loop as needed.
+     *
+     * @param {string} newState - The new state, see the description at the top of this file.
+     */
+    const setState = (newState) => {
+        const previous = state;
+        state = newState;
+        const looping = state === "countdown" || state === "playing";
+        if (looping && animationFrame === undefined) {
+            previousTimestamp = undefined;
+            animationFrame = window.requestAnimationFrame(loop);
+        } else if (!looping && animationFrame !== undefined) {
+            window.cancelAnimationFrame(animationFrame);
+            animationFrame = undefined;
+        }
+        countdownElement.hidden = state !== "countdown";
+        if (state !== previous) {
+            emit("stateChange", { state, previous });
+        }
+        if (state === "countdown") {
+            countdownLeft = countdownDuration;
+            countdownElement.textContent = "";
+            showCountdown();
+        }
+    };
+
+    const showCountdown = () => {
+        const seconds = String(Math.ceil(countdownLeft / 1000));
+        if (countdownElement.textContent !== seconds) {
+            countdownElement.textContent = seconds;
+            emit("countdown", { seconds: Number(seconds) });
+        }
+    };
+
+    /**
+     * Advances the simulation, draws it and reports what happened. The tilt for every step comes from the recording
+     * during a replay, otherwise it is the current tilt, which is recorded along the way.
+     *
+     * @param {number} elapsed - The time that passed in milliseconds.
+     * @param {number} simulated - The time to simulate in milliseconds, 0 to only draw the board.
+     */
+    const simulate = (elapsed, simulated) => {
+        const stepInput = player ? player.input : (worldState) => recorder.input(worldState, currentTilt);
+        const stepsBefore = world.steps;
+        if (simulated > 0) {
+            advance(world, (worldState) => (lastStepTilt = stepInput(worldState)), simulated);
+        }
+        const events = takeEvents(world);
+        wallHits += countWallHits(events);
+        if (feedback) {
+            playFeedback(events, world);
+        }
+        renderer.render(world, shownTilt());
+
+        events.forEach((event) => emit(renamedEvents[event.type] || event.type, event));
+        emit("frame", { elapsed, steps: world.steps - stepsBefore, tilt: lastStepTilt, events });
+
+        if (world.won) {
+            const recording = recorder && recorder.finish(world);
+            const replay = Boolean(player);
+            recorder = undefined;
+            player = undefined;
+            setState("won");
+            if (feedback) {
+                playFanfare();
+            }
+            emit("win", { time: world.time, wallHits, recording, replay });
+        } else if (player && (world.failed || player.isFinished(world))) {
+            // The recorded run was won at this point, so the simulation must have diverged
+            player = undefined;
+            setState("failed");
+            emit("replayDiverged");
+        } else if (world.failed) {
+            recorder = undefined;
+            setState("failed");
+            emit("fail", { time: world.time });
+        }
+    };
+
+    /**
+     * Runs a frame of the loop. The simulation runs in fixed steps, independent of the frame rate, and stands still
+     * during the countdown. The first frame after the loop started only takes the time, so time spent outside the
+     * loop, e.g. in the background, is never simulated.
+     *
+     * @param {number} timestamp - The timestamp of the frame, provided by requestAnimationFrame.
+     */
+    const loop = (timestamp) => {
+        const elapsed = previousTimestamp === undefined ? 0 : timestamp - previousTimestamp;
+        previousTimestamp = timestamp;
+        animationFrame = window.requestAnimationFrame(loop);
+
+        if (state === "countdown") {
+            countdownLeft -= elapsed;
+            if (countdownLeft > 0) {
+                showCountdown();
+                simulate(elapsed, 0);
+                return;
+            }
+            // Only the part of the frame after the countdown is played
+            setState("playing");
+            simulate(elapsed, -countdownLeft);
+            return;
+        }
+        simulate(elapsed, elapsed);
+    };
+
+    // Stops the game and creates the world of a new run
+    const resetRun = () => {
+        currentTilt = undefined;
+        lastStepTilt = undefined;
+        recorder = undefined;
+        player = undefined;
+        wallHits = 0;
+        pausedAutomatically = false;
+        world = createWorld(level, currentWorldOptions());
+        setState("idle");
+    };
+
+    /**
+     * Pauses the game during the countdown or while playing.
+     *
+     * @param {boolean} automatic - Whether the game pauses because its page went to the background.
+     */
+    const pause = (automatic) => {
+        if (state !== "countdown" && state !== "playing") return;
+        pausedAutomatically = automatic;
+        setState("paused");
+        emit("pause", { automatic });
+    };
+
+    // Pauses a running game while its page is hidden or without focus, and resumes it once the player is back
+    const handleVisibility = (event) => {
+        const away = document.hidden || event.type === "blur";
+        if (away && (state === "countdown" || state === "playing")) {
+            pause(true);
+        } else if (!away && state === "paused" && pausedAutomatically && document.hasFocus()) {
+            game.resume();
+        }
+    };
+    if (autoPause) {
+        document.addEventListener("visibilitychange", handleVisibility);
+        window.addEventListener("blur", handleVisibility);
+        window.addEventListener("focus", handleVisibility);
+    }
+
+    const game = {
+        get element() {
+            return mazeElement;
+        },
+        get state() {
+            return state;
+        },
+        get level() {
+            return level;
+        },
+        get world() {
+            return world;
+        },
+        get scale() {
+            return scale;
+        },
+        get tilt() {
+            return shownTilt();
+        },
+        get wallHits() {
+            return wallHits;
+        },
+        /**
+         * Loads a level and starts a new game on it.
+         *
+         * @param {Object} newLevel - The resolved level layout, as returned by 'resolveLevel' (js/levels.js).
+         */
+        loadLevel(newLevel) {
+            level = newLevel;
+            resetRun();
+            build();
+            emit("reset");
+            emit("levelLoaded", { level });
+        },
+        /**
+         * Starts the countdown of an idle game. Should be called in response to a user gesture, which allows audio.
+         */
+        start() {
+            if (state !== "idle" || !world) return;
+            if (feedback) {
+                unlockAudio();
+            }
+            recorder = createRecorder(level, currentWorldOptions());
+            setState("countdown");
+            emit("start");
+        },
+        /**
+         * Stops the game and places the balls on their start cells, on a flat board.
+         */
+        reset() {
+            if (!level) return;
+            resetRun();
+            renderer.render(world);
+            emit("reset");
+        },
+        /**
+         * Pauses the game during the countdown or while playing, time stands still until it is resumed.
+         */
+        pause() {
+            pause(false);
+        },
+        /**
+         * Resumes a paused game after a countdown.
+         */
+        resume() {
+            if (state !== "paused") return;
+            pausedAutomatically = false;
+            setState("countdown");
+            emit("resume");
+        },
+        /**
+         * Runs a single simulation step of a paused game.
+         */
+        step() {
+            if (state !== "paused") return;
+            simulate(0, fixedTimestep);
+        },
+        /**
+         * Replays a recording on the current level, which has to be the level of the recording. The simulation
+         * options of the recording are used instead of those of the game.
+         *
+         * @param {Object} recording - A recording that passed 'validateRecording' (js/replay.js).
+         */
+        replay(recording) {
+            if (!level) return;
+            game.reset();
+            world = createWorld(level, recording.options);
+            renderer.render(world);
+            player = createPlayer(recording);
+            setState("playing");
+            emit("start");
+        },
+        /**
+         * Sets the tilt of the board, e.g. from an input source of the embedding page. The tilt is shown right away,
+         * also while the game is not running, except during a replay.
+         *
+         * @param {Object} tilt - The tilt with 'gamma' (left/right) and 'beta' (front/back) in degrees.
+         */
+        setTilt(tilt) {
+            currentTilt = { gamma: tilt.gamma, beta: tilt.beta };
+            if (world && !player) {
+                renderer.render(world, currentTilt);
+            }
+        },
+        /**
+         * Switches the renderer. The previous renderer removes everything it added, the new one draws the board from
+         * scratch.
+         *
+         * @param {string} name - The name of the renderer, one of the keys of 'renderers'.
+         */
+        setRenderer(name) {
+            renderer.destroy();
+            renderer = renderers[name](mazeElement);
+            if (world) {
+                build();
+            }
+        },
+        /**
+         * Shows a route on the board, see 'showRoute' of the renderers.
+         *
+         * @param {Object} [route] - The route, without a route the shown one is removed.
+         */
+        showRoute(route) {
+            renderer.showRoute(route);
+        },
+        /**
+         * Checks whether a run is under way, i.e. counting down, playing or paused.
+         *
+         * @returns {boolean} True while the game is running.
+         */
+        isRunning() {
+            return state === "countdown" || state === "playing" || state === "paused";
+        },
+        isPaused() {
+            return state === "paused";
+        },
+        isReplaying() {
+            return Boolean(player);
+        },
+        /**
+         * Registers a listener for an event, see the list of events at the top of this file.
+         *
+         * @param {string} type - The type of the event.
+         * @param {Function} listener - Called with the details of every event of the type.
+         */
+        on(type, listener) {
+            listeners.set(type, (listeners.get(type) || []).concat(listener));
+        },
+        /**
+         * Removes a listener registered with 'on'.
+         *
+         * @param {string} type - The type of the event.
+         * @param {Function} listener - The listener to remove.
+         */
+        off(type, listener) {
+            listeners.set(type, (listeners.get(type) || []).filter((registered) => registered !== listener));
+        },
+        /**
+         * Stops the game and its input source and removes everything it added to the page.
+         */
+        destroy() {
+            setState("idle");
+            window.cancelAnimationFrame(resizeFrame);
+            window.removeEventListener("resize", handleResize);
+            document.removeEventListener("visibilitychange", handleVisibility);
+            window.removeEventListener("blur", handleVisibility);
+            window.removeEventListener("focus", handleVisibility);
+            if (inputSource) {
+                inputSource.stop();
+            }
+            renderer.destroy();
+            mazeElement.remove();
+            container.classList.remove("maze-game");
+            container.style.perspective = "";
+            listeners.clear();
+        },
+    };
+
+    if (input) {
+        inputSource = inputSources[input](mazeElement);
+        inputSource.start(game.setTilt);
+    }
+    if (options.level) {
+        game.loadLevel(options.level);
+    }
+    return game;
+};
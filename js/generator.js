@@ -0,0 +1,199 @@
+/**
+ * MoCIoT Web App: Seeded Maze Generator
+ *
+ * This script generates random mazes for the ball maze game. The mazes are built with a randomized version of
+ * Kruskal's algorithm on the grid of cells: starting with every wall in place, walls between cells that are not yet
+ * connected are removed in random order until all cells are connected. The result is a perfect maze, i.e. there is
+ * exactly one path between any two cells, so every starting corner can always reach the goal in the center.
+ *
+ * The cells around the center of the grid are joined into an open goal room before any other wall is removed, so that
+ * no wall runs through the goal.
+ *
+ * The random numbers come from a seeded generator instead of Math.random, so the same seed and grid size always produce
+ * the same maze. This allows two players to race on the same maze by sharing the seed.
+ *
+ * The generated walls use the same descriptor format as hand-made mazes:
+ *   { column, row, horizontal, length }
+ * where 'column' and 'row' are the grid coordinates of the wall's start and 'length' is given in cells.
+ */
+
+/**
+ * Turns a seed of any kind into a 32-bit integer using the FNV-1a hash.
+ * Seeds are usually short strings typed in by the player, so they are hashed rather than parsed.
+ *
+ * @param {string|number} seed - The seed to hash.
+ * @returns {number} An unsigned 32-bit integer derived from the seed.
+ */
+const hashSeed = (seed) => {
+    let hash = 2166136261;
+    for (const character of String(seed)) {
+        hash ^= character.codePointAt(0);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * Creates a seeded pseudo-random number generator (Mulberry32).
+ * It is not suitable for cryptography, but it is fast, small and produces the same sequence on every browser.
+ *
+ * @param {string|number} seed - The seed of the sequence.
+ * @returns {Function} A function returning the next pseudo-random number in the range [0, 1) on every call.
+ */
+const createRandom = (seed) => {
+    let state = hashSeed(seed);
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Creates a new random seed for players who did not choose one.
+ *
+ * @returns {string} A short alphanumeric seed that is easy to read out and type in.
+ */
+const randomSeed = () => {
+    return Math.random().toString(36).slice(2, 8);
+};
+
+/**
+ * Determines the cells in the center of the grid that form the goal room.
+ * Along a dimension with an even number of cells the center lies on the line between two cells, so both of them
+ * belong to the room; along an odd dimension only the middle cell does.
+ *
+ * @param {number} columns - The number of columns of the grid.
+ * @param {number} rows - The number of rows of the grid.
+ * @returns {Array} The cells of the goal room, each with 'column' and 'row' properties.
+ */
+const goalCells = (columns, rows) => {
+    const centerRange = (size) => (size % 2 === 0 ? [size / 2 - 1, size / 2] : [(size - 1) / 2]);
+
+    const cells = [];
+    centerRange(rows).forEach((row) => {
+        centerRange(columns).forEach((column) => cells.push({ column, row }));
+    });
+    return cells;
+};
+
+/**
+ * Merges the single-cell wall segments of one grid line into as few walls as possible.
+ * Adjacent segments on the same line become one longer wall, which keeps the number of walls (and therefore the number
+ * of collision tests and DOM elements) low.
+ *
+ * @param {Array} segments - Booleans telling whether there is a wall segment at each cell along the line.
+ * @param {Function} createWall - Creates the wall descriptor from the index of the first segment and the length.
+ * @returns {Array} The merged wall descriptors.
+ */
+const mergeSegments = (segments, createWall) => {
+    const merged = [];
+    let start;
+
+    segments.concat(false).forEach((present, index) => {
+        if (present && start === undefined) {
+            start = index;
+        } else if (!present && start !== undefined) {
+            merged.push(createWall(start, index - start));
+            start = undefined;
+        }
+    });
+    return merged;
+};
+
+/**
+ * Generates a maze for the given seed and grid size.
+ * The same seed and size always result in the same walls.
+ *
+ * @param {Object} options - The generator options.
+ * @param {string|number} options.seed - The seed of the maze.
+ * @param {number} [options.columns=10] - The number of columns of the grid.
+ * @param {number} [options.rows=10] - The number of rows of the grid.
+ * @returns {Array} The wall descriptors, each with 'column', 'row', 'horizontal' and 'length' properties.
+ */
+const generateMaze = ({ seed, columns = 10, rows = 10 }) => {
+    const random = createRandom(seed);
+    const cellIndex = (column, row) => row * columns + column;
+
+    // Union-find structure tracking which cells are already connected
+    const parents = Array.from({ length: columns * rows }, (_, index) => index);
+    const find = (index) => {
+        while (parents[index] !== index) {
+            parents[index] = parents[parents[index]];
+            index = parents[index];
+        }
+        return index;
+    };
+    const union = (a, b) => {
+        parents[find(a)] = find(b);
+    };
+
+    // Open the goal room before anything else, so that no wall is left inside it
+    const room = goalCells(columns, rows).map(({ column, row }) => cellIndex(column, row));
+    room.forEach((index) => union(index, room[0]));
+
+    /*
+    Every inner wall segment separates two neighbouring cells.
+    A vertical segment at (column, row) lies between the cells (column - 1, row) and (column, row),
+    a horizontal segment at (column, row) lies between the cells (column, row - 1) and (column, row).
+    */
+    const segments = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            if (column > 0) {
+                segments.push({ column, row, horizontal: false, cells: [cellIndex(column - 1, row), cellIndex(column, row)] });
+            }
+            if (row > 0) {
+                segments.push({ column, row, horizontal: true, cells: [cellIndex(column, row - 1), cellIndex(column, row)] });
+            }
+        }
+    }
+
+    // Fisher-Yates shuffle, driven by the seeded random numbers
+    for (let i = segments.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [segments[i], segments[j]] = [segments[j], segments[i]];
+    }
+
+    const standing = new Set();
+    segments.forEach(({ column, row, horizontal, cells: [a, b] }) => {
+        if (room.includes(a) && room.includes(b)) return;
+        if (find(a) === find(b)) {
+            standing.add(`${horizontal ? "h" : "v"}${column},${row}`);
+        } else {
+            union(a, b);
+        }
+    });
+
+    // Merge the remaining segments line by line
+    const walls = [
+        // Border
+        { column: 0, row: 0, horizontal: true, length: columns },
+        { column: 0, row: 0, horizontal: false, length: rows },
+        { column: 0, row: rows, horizontal: true, length: columns },
+        { column: columns, row: 0, horizontal: false, length: rows },
+    ];
+
+    for (let row = 1; row < rows; row++) {
+        const line = Array.from({ length: columns }, (_, column) => standing.has(`h${column},${row}`));
+        walls.push(...mergeSegments(line, (column, length) => ({ column, row, horizontal: true, length })));
+    }
+
+    for (let column = 1; column < columns; column++) {
+        const line = Array.from({ length: rows }, (_, row) => standing.has(`v${column},${row}`));
+        walls.push(...mergeSegments(line, (row, length) => ({ column, row, horizontal: false, length })));
+    }
+
+    return walls;
+};
+
+// Allows requiring the generator in Node (e.g. for benchmarks), in the browser everything above is available as globals
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        hashSeed,
+        createRandom,
+        generateMaze,
+    };
+}
@@ -0,0 +1,405 @@
+/**
+ * MoCIoT Web App: Tilt Input Sources
+ *
+ * This script provides the input layer of the ball maze game. Every input source translates its own kind of user
+ * interaction into the same virtual tilt, expressed like a deviceorientation event: 'gamma' is the left/right tilt and
+ * 'beta' is the front/back tilt, both in degrees. The game only consumes this virtual tilt, so the maze rotation and the
+ * ball physics behave the same no matter which source is active.
+ *
+ * Available sources:
+ *   - orientation: The device's motion sensors (deviceorientation events).
+ *   - keyboard: Arrow keys and WASD.
+ *   - pointer: Dragging on the maze with a mouse, a pen or a finger.
+ *   - gamepad: The left analog stick or the D-pad of a gamepad, read through the Gamepad API.
+ *   - remote: The motion sensors of a phone connected over the network (js/remote.js).
+ *
+ * Every source is created by a factory function and exposes the same interface:
+ *   - start(onTilt): Starts listening and calls onTilt({ gamma, beta }) whenever the tilt changes.
+ *   - stop(): Removes all listeners and stops polling.
+ * Sources that have something to tell the player (e.g. the room code of the remote source) also accept an optional
+ * onStatus(message) callback as the second argument of start.
+ * Sources that need a neutral pose additionally provide:
+ *   - calibrate(): Takes the current pose as the neutral, level board. Returns false if there is no pose yet.
+ *   - rawTilt(): Returns the latest reading before it was processed as described below, undefined if there is none.
+ *
+ * The motion sensor readings are processed before they reach the game:
+ *   1. The neutral pose set by calibrating is subtracted, so the phone can be held at a natural angle.
+ *   2. The axes are remapped to the current screen orientation, so the board tilts the same way in landscape mode.
+ *   3. A low-pass filter smooths the sensor noise that would make the balls jitter.
+ *   4. A dead zone around the neutral pose keeps the board level while the phone is held still.
+ * Smoothing, dead zone and neutral pose are configurable (see 'sensorSettings') and stored across reloads.
+ */
+
+// Tilt in degrees produced by sources that have no natural range of their own (keyboard, pointer, gamepad)
+const maxVirtualTilt = 30;
+// Distance in pixels the pointer has to be dragged to reach the maximum virtual tilt
+const dragDistanceForMaxTilt = 100;
+// Analog stick values below this threshold are treated as zero, as sticks rarely rest exactly at the center
+const gamepadDeadZone = 0.15;
+// localStorage key of the motion sensor settings
+const sensorSettingsStorageKey = "mazeGame.sensorSettings";
+
+/*
+Settings of the motion sensor processing, shared by all orientation sources:
+  - smoothing: Share of the previous value kept by the low-pass filter, from 0 (no smoothing) to below 1.
+  - deadZone: Tilt in degrees below which the board is treated as level.
+  - neutral: The pose (raw 'gamma' and 'beta' in degrees) that is treated as a level board.
+*/
+const sensorSettings = {
+    smoothing: 0.5,
+    deadZone: 2,
+    neutral: { gamma: 0, beta: 0 },
+};
+
+// Keys mapped to the direction the board is tilted towards
+const tiltKeys = {
+    ArrowLeft: "left",
+    ArrowRight: "right",
+    ArrowUp: "up",
+    ArrowDown: "down",
+    KeyA: "left",
+    KeyD: "right",
+    KeyW: "up",
+    KeyS: "down",
+};
+
+/**
+ * Checks whether a keyboard event originates from a form field.
+ * Keys typed into text fields or selects must not tilt the maze.
+ *
+ * @param {KeyboardEvent} event - The keyboard event to check.
+ * @returns {boolean} True if the event target is an input, select or textarea element.
+ */
+const isFormField = (event) => {
+    return ["INPUT", "SELECT", "TEXTAREA"].includes(event.target.tagName);
+};
+
+/**
+ * Restores the motion sensor settings of the last visit.
+ * Missing or broken values keep their defaults.
+ */
+const loadSensorSettings = () => {
+    let stored;
+    try {
+        stored = JSON.parse(localStorage.getItem(sensorSettingsStorageKey)) || {};
+    } catch (error) {
+        return;
+    }
+    if (Number.isFinite(stored.smoothing) && stored.smoothing >= 0 && stored.smoothing < 1) {
+        sensorSettings.smoothing = stored.smoothing;
+    }
+    if (Number.isFinite(stored.deadZone) && stored.deadZone >= 0) {
+        sensorSettings.deadZone = stored.deadZone;
+    }
+    if (stored.neutral && Number.isFinite(stored.neutral.gamma) && Number.isFinite(stored.neutral.beta)) {
+        sensorSettings.neutral = { gamma: stored.neutral.gamma, beta: stored.neutral.beta };
+    }
+};
+
+/**
+ * Stores the motion sensor settings for the next visit.
+ */
+const saveSensorSettings = () => {
+    try {
+        localStorage.setItem(sensorSettingsStorageKey, JSON.stringify(sensorSettings));
+    } catch (error) {
+        console.error(error);
+    }
+};
+
+/**
+ * Determines how far the screen content is rotated relative to the natural orientation of the device.
+ *
+ * @returns {number} The rotation in degrees, one of 0, 90, 180 and 270.
+ */
+const screenAngle = () => {
+    let angle = 0;
+    if (window.screen && window.screen.orientation && typeof window.screen.orientation.angle === "number") {
+        angle = window.screen.orientation.angle;
+    } else if (typeof window.orientation === "number") {
+        // Older iOS versions only provide the deprecated window.orientation
+        angle = window.orientation;
+    }
+    return ((angle % 360) + 360) % 360;
+};
+
+/**
+ * Remaps a tilt measured along the axes of the device to the axes of the screen.
+ * deviceorientation events always refer to the natural (usually portrait) orientation of the device, while the board
+ * is drawn in the current screen orientation. When the device is rotated by 90 degrees, the left/right and front/back
+ * axes swap places.
+ *
+ * @param {Object} tilt - The tilt along the axes of the device.
+ * @param {number} angle - The rotation of the screen, as returned by 'screenAngle'.
+ * @returns {Object} The tilt along the axes of the screen.
+ */
+const remapToScreen = ({ gamma, beta }, angle) => {
+    switch (angle) {
+        case 90:
+            return { gamma: beta, beta: -gamma };
+        case 180:
+            return { gamma: -gamma, beta: -beta };
+        case 270:
+            return { gamma: -beta, beta: gamma };
+        default:
+            return { gamma, beta };
+    }
+};
+
+/**
+ * Applies the dead zone to a tilt value.
+ * The dead zone is subtracted instead of cutting values off, so the tilt grows smoothly from zero at its edge.
+ *
+ * @param {number} value - The tilt in degrees.
+ * @param {number} deadZone - The dead zone in degrees.
+ * @returns {number} The tilt outside of the dead zone.
+ */
+const applyDeadZone = (value, deadZone) => {
+    return Math.abs(value) <= deadZone ? 0 : value - Math.sign(value) * deadZone;
+};
+
+/**
+ * Creates an input source that reads the device's motion sensors.
+ * On iOS 13 and later, access to the sensors has to be requested first, which is only possible in response to a
+ * user gesture (e.g. a button click). Other devices deliver deviceorientation events right away.
+ * The readings are calibrated, remapped to the screen orientation, smoothed and cut by the dead zone as described
+ * at the top of this file.
+ *
+ * @returns {Object} The input source with 'start', 'stop', 'calibrate' and 'rawTilt' methods.
+ */
+const createOrientationInput = () => {
+    let listener;
+    // Latest raw reading, the pose taken as neutral when calibrating
+    let raw;
+    // Output of the low-pass filter, undefined until the first reading arrived
+    let filtered;
+
+    return {
+        start(onTilt) {
+            listener = (event) => {
+                // Devices without sensors may fire a single event without values
+                if (event.gamma === null || event.beta === null) return;
+                raw = { gamma: event.gamma, beta: event.beta };
+
+                const { smoothing, deadZone, neutral } = sensorSettings;
+                const tilt = remapToScreen(
+                    { gamma: raw.gamma - neutral.gamma, beta: raw.beta - neutral.beta },
+                    screenAngle(),
+                );
+                filtered = filtered
+                    ? {
+                          gamma: filtered.gamma + (1 - smoothing) * (tilt.gamma - filtered.gamma),
+                          beta: filtered.beta + (1 - smoothing) * (tilt.beta - filtered.beta),
+                      }
+                    : tilt;
+
+                onTilt({
+                    gamma: applyDeadZone(filtered.gamma, deadZone),
+                    beta: applyDeadZone(filtered.beta, deadZone),
+                });
+            };
+
+            if (typeof DeviceMotionEvent !== "undefined" && typeof DeviceMotionEvent.requestPermission === "function") {
+                DeviceMotionEvent.requestPermission()
+                    .then(permissionState => {
+                        if (permissionState === "granted") {
+                            window.addEventListener("deviceorientation", listener);
+                        } else {
+                            alert("Accelerometer permission not granted.");
+                        }
+                    })
+                    .catch(console.error);
+            } else {
+                window.addEventListener("deviceorientation", listener);
+            }
+        },
+        stop() {
+            window.removeEventListener("deviceorientation", listener);
+            filtered = undefined;
+        },
+        calibrate() {
+            if (!raw) return false;
+            sensorSettings.neutral = { ...raw };
+            // The filter would otherwise slowly drift from the old neutral pose to the new one
+            filtered = undefined;
+            saveSensorSettings();
+            return true;
+        },
+        rawTilt() {
+            return raw && { ...raw };
+        },
+    };
+};
+
+/**
+ * Creates an input source that tilts the board with the arrow keys or WASD.
+ * Holding a key tilts the board to the maximum virtual tilt in that direction, releasing it levels the board again.
+ * Opposite keys cancel each other out.
+ *
+ * @returns {Object} The input source with 'start' and 'stop' methods.
+ */
+const createKeyboardInput = () => {
+    const pressed = new Set();
+    let onKeyDown;
+    let onKeyUp;
+    let onBlur;
+
+    return {
+        start(onTilt) {
+            const update = () => {
+                const horizontal = (pressed.has("right") ? 1 : 0) - (pressed.has("left") ? 1 : 0);
+                const vertical = (pressed.has("down") ? 1 : 0) - (pressed.has("up") ? 1 : 0);
+                onTilt({ gamma: horizontal * maxVirtualTilt, beta: vertical * maxVirtualTilt });
+            };
+
+            onKeyDown = (event) => {
+                const direction = tiltKeys[event.code];
+                if (!direction || isFormField(event)) return;
+                // Arrow keys would otherwise scroll the page
+                event.preventDefault();
+                if (!pressed.has(direction)) {
+                    pressed.add(direction);
+                    update();
+                }
+            };
+            onKeyUp = (event) => {
+                const direction = tiltKeys[event.code];
+                if (!direction) return;
+                pressed.delete(direction);
+                update();
+            };
+            // Keys released while the window is not focused never fire a keyup event
+            onBlur = () => {
+                pressed.clear();
+                update();
+            };
+
+            window.addEventListener("keydown", onKeyDown);
+            window.addEventListener("keyup", onKeyUp);
+            window.addEventListener("blur", onBlur);
+        },
+        stop() {
+            pressed.clear();
+            window.removeEventListener("keydown", onKeyDown);
+            window.removeEventListener("keyup", onKeyUp);
+            window.removeEventListener("blur", onBlur);
+        },
+    };
+};
+
+/**
+ * Creates an input source that tilts the board by dragging on it.
+ * The tilt is proportional to the distance between the point where the drag started and the current pointer position,
+ * so dragging to the right tilts the board to the right. Releasing the pointer levels the board again.
+ *
+ * @param {HTMLElement} element - The element that can be dragged, usually the maze.
+ * @returns {Object} The input source with 'start' and 'stop' methods.
+ */
+const createPointerInput = (element) => {
+    let dragStart;
+    let onPointerDown;
+    let onPointerMove;
+    let onPointerUp;
+
+    return {
+        start(onTilt) {
+            onPointerDown = (event) => {
+                dragStart = { x: event.clientX, y: event.clientY };
+                element.setPointerCapture(event.pointerId);
+            };
+            onPointerMove = (event) => {
+                if (!dragStart) return;
+                const tiltFor = (distance) => minmax(distance / dragDistanceForMaxTilt, 1) * maxVirtualTilt;
+                onTilt({
+                    gamma: tiltFor(event.clientX - dragStart.x),
+                    beta: tiltFor(event.clientY - dragStart.y),
+                });
+            };
+            onPointerUp = () => {
+                if (!dragStart) return;
+                dragStart = undefined;
+                onTilt({ gamma: 0, beta: 0 });
+            };
+
+            // Prevents touch dragging from scrolling the page
+            element.classList.add("drag-tilt");
+            element.addEventListener("pointerdown", onPointerDown);
+            element.addEventListener("pointermove", onPointerMove);
+            element.addEventListener("pointerup", onPointerUp);
+            element.addEventListener("pointercancel", onPointerUp);
+        },
+        stop() {
+            dragStart = undefined;
+            element.classList.remove("drag-tilt");
+            element.removeEventListener("pointerdown", onPointerDown);
+            element.removeEventListener("pointermove", onPointerMove);
+            element.removeEventListener("pointerup", onPointerUp);
+            element.removeEventListener("pointercancel", onPointerUp);
+        },
+    };
+};
+
+/**
+ * Creates an input source that reads the first connected gamepad.
+ * The Gamepad API has no events for stick movement, so the gamepad is polled once per animation frame.
+ * The left analog stick is used, the D-pad (standard mapping buttons 12 to 15) acts as a digital fallback.
+ *
+ * @returns {Object} The input source with 'start' and 'stop' methods.
+ */
+const createGamepadInput = () => {
+    let frameRequest;
+
+    return {
+        start(onTilt) {
+            let previous = { gamma: 0, beta: 0 };
+
+            const readAxis = (value, negativeButton, positiveButton) => {
+                if (positiveButton && positiveButton.pressed) return 1;
+                if (negativeButton && negativeButton.pressed) return -1;
+                return Math.abs(value) < gamepadDeadZone ? 0 : value;
+            };
+
+            const poll = () => {
+                const gamepad = Array.from(navigator.getGamepads ? navigator.getGamepads() : []).find(Boolean);
+                if (gamepad) {
+                    const tilt = {
+                        gamma: readAxis(gamepad.axes[0] || 0, gamepad.buttons[14], gamepad.buttons[15]) * maxVirtualTilt,
+                        beta: readAxis(gamepad.axes[1] || 0, gamepad.buttons[12], gamepad.buttons[13]) * maxVirtualTilt,
+                    };
+                    // Only report changes, as the stick is read on every frame
+                    if (tilt.gamma !== previous.gamma || tilt.beta !== previous.beta) {
+                        previous = tilt;
+                        onTilt(tilt);
+                    }
+                }
+                frameRequest = window.requestAnimationFrame(poll);
+            };
+
+            frameRequest = window.requestAnimationFrame(poll);
+        },
+        stop() {
+            window.cancelAnimationFrame(frameRequest);
+        },
+    };
+};
+
+// Factories of all input sources by the name used in the input selection
+const inputSources = {
+    orientation: createOrientationInput,
+    keyboard: createKeyboardInput,
+    pointer: createPointerInput,
+    gamepad: createGamepadInput,
+    remote: createRemoteInput,
+};
+
+/**
+ * Determines the input source that fits the current device best.
+ * Devices with a touch screen as their primary pointer are most likely phones or tablets with motion sensors,
+ * everything else is controlled with the keyboard.
+ *
+ * @returns {string} The name of the default input source.
+ */
+const defaultInputSource = () => {
+    const hasTouchScreen = window.matchMedia && window.matchMedia("(pointer: coarse)").matches;
+    return hasTouchScreen && "DeviceOrientationEvent" in window ? "orientation" : "keyboard";
+};
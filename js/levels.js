@@ -0,0 +1,404 @@
+/**
+ * MoCIoT Web App: Level Format and Loader
+ *
+ * This script defines the declarative level format of the ball maze game, validates levels and loads the level pack.
+ * Levels are stored as JSON files in the 'levels' directory, listed in order of increasing difficulty in
+ * 'levels/index.json'. All coordinates are given in grid units, so a level does not depend on the size the board is
+ * drawn at. The grid can have any number of columns and rows (see 'maxGridSize'), the board is scaled to the screen.
+ *
+ * Level format:
+ *   {
+ *     "name": "Classic",                    Name shown in the level selection.
+ *     "columns": 10,                        Number of columns of the grid.
+ *     "rows": 10,                           Number of rows of the grid.
+ *     "walls": [                            Hand-made walls, the border has to be included ...
+ *       { "column": 0, "row": 0, "horizontal": true, "length": 10 }
+ *     ],
+ *     "generator": { "seed": "abc" },       ... or a seed for the maze generator instead of "walls".
+ *     "balls": [                            Start cells of the balls, optionally with a color (see 'levelColors').
+ *       { "column": 0, "row": 0 }
+ *     ],
+ *     "goal": { "x": 5, "y": 5, "size": 1.875 },  Center and side length of the goal zone. The win radius is half the size.
+ *     "goals": [                            ... or several goal zones instead of "goal", optionally with a color.
+ *       { "x": 2, "y": 8, "size": 1, "color": "red" }
+ *     ],
+ *     "holes": [                            Optional cells with a hole in their center that swallows balls.
+ *       { "column": 3, "row": 2 }
+ *     ],
+ *     "movingWalls": [                      Optional walls that travel from their position through the points of
+ *       {                                   "path" and back, a round trip taking "period" milliseconds. The period
+ *                                           has to be at least 256 ms per cell of the path (see 'minWallPeriod').
+ *         "column": 2, "row": 1, "horizontal": false, "length": 1,
+ *         "path": [{ "column": 4, "row": 1 }], "period": 6000
+ *       }
+ *     ],
+ *     "plates": [                           Optional pressure plates in the center of a cell.
+ *       { "column": 1, "row": 3 }
+ *     ],
+ *     "doors": [                            Optional walls that are open while a ball is on the plate whose index
+ *                                           (counted from 0) is given as "plate".
+ *       { "column": 5, "row": 0, "horizontal": false, "length": 1, "plate": 0 }
+ *     ],
+ *     "materials": [                        Optional cells with another surface (see 'surfaceMaterials' in js/physics.js).
+ *       { "column": 2, "row": 2, "material": "ice" }  One of "ice", "sand" and "bumper".
+ *     ]
+ *   }
+ *
+ * A goal with a color only accepts balls of the same color, a goal without a color accepts every ball. The level is won
+ * when every ball is in a goal accepting it at the same time. 'resolveLevel' turns "goal" into "goals", so the game
+ * only deals with a list of goals.
+ *
+ * Moving walls and doors push balls out of their way, but cannot push them through other walls, so leave the balls
+ * enough room. A door stays open while a ball is in the doorway.
+ *
+ * The unlock progress of the level pack is kept in localStorage, so it survives reloads.
+ */
+
+// Location of the level pack index, relative to the page
+const levelPackUrl = "levels/index.json";
+// localStorage key of the number of unlocked levels
+const progressStorageKey = "mazeGame.unlockedLevels";
+// Side length of the goal zone of generated mazes, in cells
+const defaultGoalSize = 1.875;
+// Largest number of columns and rows of a grid, beyond it the cells get too small to play on a phone
+const maxGridSize = 50;
+// Colors of balls and goals, each has a CSS variable '--<color>-color' (css/styles.css)
+const levelColors = ["red", "blue", "yellow", "purple", "orange"];
+
+/**
+ * Checks whether a value is an integer within the given range (inclusive).
+ *
+ * @param {*} value - The value to check.
+ * @param {number} min - The smallest allowed value.
+ * @param {number} max - The largest allowed value.
+ * @returns {boolean} True if the value is an integer within [min, max].
+ */
+const isIntegerInRange = (value, min, max) => {
+    return Number.isInteger(value) && value >= min && value <= max;
+};
+
+/**
+ * Checks whether a wall descriptor is valid and lies within the grid.
+ *
+ * @param {*} wall - The wall descriptor to check.
+ * @param {number} columns - The number of columns of the grid.
+ * @param {number} rows - The number of rows of the grid.
+ * @returns {boolean} True if the wall has integer 'column', 'row' and 'length' and a boolean 'horizontal' and lies
+ *                    within the grid.
+ */
+const isValidWall = (wall, columns, rows) => {
+    return typeof wall === "object" && wall !== null &&
+        typeof wall.horizontal === "boolean" &&
+        isIntegerInRange(wall.column, 0, columns) &&
+        isIntegerInRange(wall.row, 0, rows) &&
+        isIntegerInRange(wall.length, 1, wall.horizontal ? columns - wall.column : rows - wall.row);
+};
+
+/**
+ * Validates a level against the level format.
+ * All problems are collected instead of stopping at the first one, so level designers can fix them in one go.
+ *
+ * @param {Object} level - The parsed level.
+ * @returns {Array} Descriptions of all problems found. An empty array means the level is valid.
+ */
+const validateLevel = (level) => {
+    if (typeof level !== "object" || level === null || Array.isArray(level)) {
+        return ["The level must be a JSON object."];
+    }
+
+    const errors = [];
+    const {
+        name, columns, rows, walls, generator, balls, goal, goals, holes, movingWalls, plates, doors, materials,
+    } = level;
+
+    if (typeof name !== "string" || !name.trim()) {
+        errors.push("'name' must be a non-empty string.");
+    }
+
+    if (!isIntegerInRange(columns, 2, maxGridSize) || !isIntegerInRange(rows, 2, maxGridSize)) {
+        errors.push(`'columns' and 'rows' must be integers from 2 to ${maxGridSize}.`);
+    }
+
+    if ((walls === undefined) === (generator === undefined)) {
+        errors.push("Exactly one of 'walls' and 'generator' must be given.");
+    }
+
+    if (walls !== undefined) {
+        if (!Array.isArray(walls)) {
+            errors.push("'walls' must be an array.");
+        } else {
+            walls.forEach((wall, index) => {
+                if (!isValidWall(wall, columns, rows)) {
+                    errors.push(`Wall ${index + 1} must have integer 'column', 'row' and 'length' and a boolean 'horizontal', and lie within the grid.`);
+                }
+            });
+        }
+    }
+
+    if (generator !== undefined) {
+        const seedType = generator && typeof generator.seed;
+        if (seedType !== "string" && seedType !== "number") {
+            errors.push("'generator.seed' must be a string or a number.");
+        }
+    }
+
+    if (!Array.isArray(balls) || balls.length === 0) {
+        errors.push("'balls' must be a non-empty array.");
+    } else {
+        balls.forEach((ball, index) => {
+            if (!ball || !isIntegerInRange(ball.column, 0, columns - 1) || !isIntegerInRange(ball.row, 0, rows - 1)) {
+                errors.push(`Ball ${index + 1} must have an integer 'column' and 'row' within the grid.`);
+            } else if (ball.color !== undefined && !levelColors.includes(ball.color)) {
+                errors.push(`Ball ${index + 1} has an unknown color, use one of ${levelColors.join(", ")}.`);
+            }
+        });
+    }
+
+    // "goal" is a shorthand for a single goal without a color
+    if ((goal === undefined) === (goals === undefined)) {
+        errors.push("Exactly one of 'goal' and 'goals' must be given.");
+    } else if (goals !== undefined && (!Array.isArray(goals) || goals.length === 0)) {
+        errors.push("'goals' must be a non-empty array.");
+    }
+    const goalList = goal !== undefined ? [goal] : Array.isArray(goals) ? goals : [];
+    const validGoals = goalList.filter((candidate, index) => {
+        const label = goal !== undefined ? "'goal'" : `Goal ${index + 1}`;
+        const valid =
+            typeof candidate === "object" && candidate !== null &&
+            typeof candidate.x === "number" && candidate.x >= 0 && candidate.x <= columns &&
+            typeof candidate.y === "number" && candidate.y >= 0 && candidate.y <= rows &&
+            typeof candidate.size === "number" && candidate.size > 0;
+        if (!valid) {
+            errors.push(`${label} must have numeric 'x' and 'y' within the grid and a positive 'size'.`);
+        } else if (candidate.color !== undefined && !levelColors.includes(candidate.color)) {
+            errors.push(`${label} has an unknown color, use one of ${levelColors.join(", ")}.`);
+            return false;
+        }
+        return valid;
+    });
+
+    // Every ball needs a goal it counts in, or the level cannot be won
+    if (Array.isArray(balls) && validGoals.length === goalList.length && goalList.length) {
+        balls.forEach((ball, index) => {
+            if (ball && !validGoals.some((candidate) => goalAccepts(candidate, ball))) {
+                errors.push(`Ball ${index + 1} has no goal of its color.`);
+            }
+        });
+    }
+
+    if (holes !== undefined && !Array.isArray(holes)) {
+        errors.push("'holes' must be an array.");
+    } else if (holes !== undefined) {
+        holes.forEach((hole, index) => {
+            if (!hole || !isIntegerInRange(hole.column, 0, columns - 1) || !isIntegerInRange(hole.row, 0, rows - 1)) {
+                errors.push(`Hole ${index + 1} must have an integer 'column' and 'row' within the grid.`);
+                return;
+            }
+            if (Array.isArray(balls) && balls.some((ball) => ball && ball.column === hole.column && ball.row === hole.row)) {
+                errors.push(`Hole ${index + 1} must not be on the start cell of a ball.`);
+            }
+            // The hole must not reach into a goal zone, or a ball could fall into it while it is in the goal
+            const overlapped = validGoals.some((candidate) => {
+                const reach = candidate.size / 2 + holeSize / 2;
+                return Math.abs(hole.column + 0.5 - candidate.x) < reach && Math.abs(hole.row + 0.5 - candidate.y) < reach;
+            });
+            if (overlapped) {
+                errors.push(`Hole ${index + 1} must not overlap a goal zone.`);
+            }
+        });
+    }
+
+    if (movingWalls !== undefined && !Array.isArray(movingWalls)) {
+        errors.push("'movingWalls' must be an array.");
+    } else if (movingWalls !== undefined) {
+        movingWalls.forEach((wall, index) => {
+            if (!isValidWall(wall, columns, rows)) {
+                errors.push(`Moving wall ${index + 1} must have integer 'column', 'row' and 'length' and a boolean 'horizontal', and lie within the grid.`);
+                return;
+            }
+            // The wall has to stay within the grid at every point of its path
+            const validPath = Array.isArray(wall.path) && wall.path.length > 0 &&
+                wall.path.every((point) => point && isValidWall({ ...wall, column: point.column, row: point.row }, columns, rows));
+            if (!validPath) {
+                errors.push(`Moving wall ${index + 1} must have a non-empty 'path' of points with integer 'column' and 'row' at which it lies within the grid.`);
+            }
+            if (typeof wall.period !== "number" || !(wall.period > 0)) {
+                errors.push(`Moving wall ${index + 1} must have a positive 'period' in milliseconds.`);
+            } else if (validPath) {
+                // Faster walls could push balls through other walls
+                const points = [wall].concat(wall.path).map(({ column, row }) => ({ x: column, y: row }));
+                const length = points.slice(1).reduce((sum, point, pointIndex) => sum + distance2D(points[pointIndex], point), 0);
+                const minPeriod = Math.ceil(minWallPeriod(toBoardUnits(length)));
+                if (wall.period < minPeriod) {
+                    errors.push(`Moving wall ${index + 1} must have a 'period' of at least ${minPeriod} milliseconds for its path.`);
+                }
+            }
+        });
+    }
+
+    if (plates !== undefined && !Array.isArray(plates)) {
+        errors.push("'plates' must be an array.");
+    } else if (plates !== undefined) {
+        plates.forEach((plate, index) => {
+            if (!plate || !isIntegerInRange(plate.column, 0, columns - 1) || !isIntegerInRange(plate.row, 0, rows - 1)) {
+                errors.push(`Plate ${index + 1} must have an integer 'column' and 'row' within the grid.`);
+            } else if (Array.isArray(holes) && holes.some((hole) => hole && hole.column === plate.column && hole.row === plate.row)) {
+                errors.push(`Plate ${index + 1} must not be on a cell with a hole.`);
+            }
+        });
+    }
+
+    if (doors !== undefined && !Array.isArray(doors)) {
+        errors.push("'doors' must be an array.");
+    } else if (doors !== undefined) {
+        const plateCount = Array.isArray(plates) ? plates.length : 0;
+        doors.forEach((door, index) => {
+            if (!isValidWall(door, columns, rows)) {
+                errors.push(`Door ${index + 1} must have integer 'column', 'row' and 'length' and a boolean 'horizontal', and lie within the grid.`);
+            } else if (!isIntegerInRange(door.plate, 0, plateCount - 1)) {
+                errors.push(`Door ${index + 1} must have the index of one of the 'plates' as 'plate'.`);
+            }
+        });
+    }
+
+    if (materials !== undefined && !Array.isArray(materials)) {
+        errors.push("'materials' must be an array.");
+    } else if (materials !== undefined) {
+        const materialNames = Object.keys(surfaceMaterials);
+        materials.forEach((cell, index) => {
+            if (!cell || !isIntegerInRange(cell.column, 0, columns - 1) || !isIntegerInRange(cell.row, 0, rows - 1)) {
+                errors.push(`Material ${index + 1} must have an integer 'column' and 'row' within the grid.`);
+            } else if (!materialNames.includes(cell.material)) {
+                errors.push(`Material ${index + 1} is unknown, use one of ${materialNames.join(", ")}.`);
+            }
+        });
+    }
+
+    return errors;
+};
+
+/**
+ * Validates a level and resolves it into the layout the game is built from.
+ * Levels using the generator get their walls generated here, so the rest of the game only deals with wall descriptors.
+ *
+ * @param {Object} level - The parsed level.
+ * @returns {Object} The layout with 'name', 'columns', 'rows', 'walls', 'balls', 'goals', 'holes', 'movingWalls',
+ *                   'plates', 'doors', 'materials' and, for generated mazes, 'seed'.
+ * @throws {Error} If the level is invalid. The message lists all problems found.
+ */
+const resolveLevel = (level) => {
+    const errors = validateLevel(level);
+    if (errors.length) {
+        throw new Error(`Invalid level: ${errors.join(" ")}`);
+    }
+
+    const {
+        name, columns, rows, balls, goal, goals = [goal], generator, holes = [], movingWalls = [], plates = [], doors = [],
+        materials = [],
+    } = level;
+    const walls = generator ? generateMaze({ seed: generator.seed, columns, rows }) : level.walls;
+
+    return {
+        name,
+        columns,
+        rows,
+        walls: walls.map(({ column, row, horizontal, length }) => ({ column, row, horizontal, length })),
+        balls: balls.map(({ column, row, color }) => ({ column, row, color })),
+        goals: goals.map(({ x, y, size, color }) => ({ x, y, size, color })),
+        holes: holes.map(({ column, row }) => ({ column, row })),
+        movingWalls: movingWalls.map(({ column, row, horizontal, length, path, period }) => ({
+            column,
+            row,
+            horizontal,
+            length,
+            path: path.map((point) => ({ column: point.column, row: point.row })),
+            period,
+        })),
+        plates: plates.map(({ column, row }) => ({ column, row })),
+        doors: doors.map(({ column, row, horizontal, length, plate }) => ({ column, row, horizontal, length, plate })),
+        materials: materials.map(({ column, row, material }) => ({ column, row, material })),
+        seed: generator ? String(generator.seed) : undefined,
+    };
+};
+
+/**
+ * Creates a level with a generated maze, with one ball in every corner and the goal in the center.
+ * Used for random mazes outside the level pack.
+ *
+ * @param {string} seed - The seed of the maze.
+ * @param {number} [columns=10] - The number of columns of the grid.
+ * @param {number} [rows=10] - The number of rows of the grid.
+ * @returns {Object} The level in the level format.
+ */
+const randomLevel = (seed, columns = 10, rows = 10) => {
+    return {
+        name: `Random maze ${seed}`,
+        columns,
+        rows,
+        generator: { seed },
+        balls: [
+            { column: 0, row: 0 },
+            { column: columns - 1, row: 0 },
+            { column: 0, row: rows - 1 },
+            { column: columns - 1, row: rows - 1 },
+        ],
+        goal: { x: columns / 2, y: rows / 2, size: defaultGoalSize },
+    };
+};
+
+/**
+ * Loads and validates all levels of the level pack.
+ * The index lists the level files in order of increasing difficulty, relative to the index itself.
+ *
+ * @param {string} [url=levelPackUrl] - The location of the level pack index.
+ * @returns {Promise<Array>} The resolved layouts of all levels, in order.
+ * @throws {Error} If a file cannot be loaded or a level is invalid.
+ */
+const loadLevelPack = async (url = levelPackUrl) => {
+    const fetchJson = async (location) => {
+        const response = await fetch(location);
+        if (!response.ok) {
+            throw new Error(`Could not load ${location} (HTTP ${response.status}).`);
+        }
+        return response.json();
+    };
+
+    const index = await fetchJson(url);
+    const baseUrl = url.slice(0, url.lastIndexOf("/") + 1);
+
+    return Promise.all(index.levels.map(async (file) => {
+        try {
+            return resolveLevel(await fetchJson(baseUrl + file));
+        } catch (error) {
+            throw new Error(`${file}: ${error.message}`);
+        }
+    }));
+};
+
+/**
+ * Reads the number of unlocked levels of the level pack.
+ * The first level is always unlocked, also when localStorage is not available (e.g. in private mode).
+ *
+ * @returns {number} The number of unlocked levels, at least 1.
+ */
+const loadProgress = () => {
+    try {
+        return Math.max(1, parseInt(localStorage.getItem(progressStorageKey), 10) || 1);
+    } catch (error) {
+        return 1;
+    }
+};
+
+/**
+ * Stores the number of unlocked levels of the level pack.
+ * The stored progress never decreases, so replaying an earlier level does not lock later ones.
+ *
+ * @param {number} unlockedLevels - The number of unlocked levels.
+ */
+const saveProgress = (unlockedLevels) => {
+    try {
+        localStorage.setItem(progressStorageKey, String(Math.max(unlockedLevels, loadProgress())));
+    } catch (error) {
+        console.error(error);
+    }
+};
@@ -0,0 +1,65 @@
+/**
+ * MoCIoT Web App: Offline Support
+ *
+ * This script registers the service worker (sw.js), which caches the game so it can be installed to the home screen
+ * and played without a connection. When a new version of the game is deployed, the browser installs its service
+ * worker in the background; the page is told about it, so the player can decide when to switch to the new version.
+ *
+ * Service workers only run on pages served over HTTP(S), so nothing happens when the game is opened from the file system.
+ */
+
+// Location of the service worker, next to index.html so it controls the whole game
+const serviceWorkerUrl = "sw.js";
+
+// Service worker of a new version, waiting for the player to confirm the update
+let waitingServiceWorker;
+// Whether the player confirmed the update, so the page is reloaded once the new version took over
+let updateConfirmed = false;
+
+/**
+ * Registers the service worker and watches for new versions of the game.
+ *
+ * @param {Function} onUpdateReady - Called when a new version is ready, see 'applyUpdate'.
+ */
+const registerServiceWorker = (onUpdateReady) => {
+    if (!("serviceWorker" in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+
+    // The first service worker taking over (on the first visit) is no update and needs no reload
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+        if (updateConfirmed) window.location.reload();
+    });
+
+    // Without a service worker controlling the page, a newly installed one is the first version, not an update
+    const waitFor = (worker) => {
+        if (!navigator.serviceWorker.controller) return;
+        waitingServiceWorker = worker;
+        onUpdateReady();
+    };
+
+    navigator.serviceWorker.register(serviceWorkerUrl)
+        .then((registration) => {
+            // A new version may already have been installed during an earlier visit
+            if (registration.waiting) {
+                waitFor(registration.waiting);
+            }
+            registration.addEventListener("updatefound", () => {
+                const worker = registration.installing;
+                worker.addEventListener("statechange", () => {
+                    if (worker.state === "installed") {
+                        waitFor(worker);
+                    }
+                });
+            });
+        })
+        .catch(console.error);
+};
+
+/**
+ * Switches to the new version of the game. The page reloads as soon as the new service worker took over.
+ */
+const applyUpdate = () => {
+    if (waitingServiceWorker) {
+        updateConfirmed = true;
+        waitingServiceWorker.postMessage({ type: "skipWaiting" });
+    }
+};
@@ -0,0 +1,1327 @@
+/**
+ * MoCIoT Web App: Physics Engine
+ *
+ * This script contains the simulation of the ball maze game: tilt-driven acceleration, friction, collision detection
+ * with walls, holes that swallow balls, and win and failure detection. It does not touch the DOM, does not read any global game state and does not schedule
+ * anything, so it runs in the browser as well as in Node (e.g. for unit tests of collisions, replays and bots).
+ *
+ * The simulation advances in fixed timesteps. 'advance' collects the real time that passed in an accumulator and
+ * runs as many fixed steps as fit into it, so the results do not depend on the frame rate of the device.
+ *
+ * A step of any duration is split into substeps that are short enough for no ball to move further than a quarter of
+ * the distance at which it touches a wall, so a ball can never skip across a wall, no matter how long a frame took.
+ *
+ * Wall collisions use a broadphase: the walls are indexed into a uniform grid with the cells of the maze, so every ball
+ * only tests the few walls around its cell instead of all walls of the maze. The result is exactly the same as testing
+ * every wall, in the same order, so it can be turned off (option 'broadphase') to compare the cost.
+ *
+ * Dynamic walls change while playing: moving walls travel along a path and back, doors open while a ball is on their
+ * pressure plate. Their positions only depend on the simulated time and the balls, so runs stay reproducible. They are
+ * not part of the broadphase grid, every ball tests them at their current position after the static walls.
+ *
+ * How balls roll is set by a physics profile chosen per game (see 'physicsProfiles'). Levels can cover single cells
+ * with a material such as ice or sand, which changes the profile wherever the center of a ball is on such a cell (see
+ * 'surfaceMaterials').
+ *
+ * Units:
+ *   - Positions and sizes are given in logical units of the board, where a cell of the grid is 40 units wide
+ *     (see 'defaultGeometry'). They do not depend on the size the board is drawn at, the renderers scale them to
+ *     the screen.
+ *   - Time is given in milliseconds.
+ *   - Velocities are given in units per frame, where a frame is the duration of one fixed step.
+ *
+ * World state (as created by 'createWorld'):
+ *   {
+ *     geometry: { pathWidth, wallWidth, ballSize },
+ *     width, height,              Size of the board.
+ *     walls: [{ x, y, horizontal, length, path, period, speed, plate, open }],
+ *                                 Static walls first, then the dynamic ones. Moving walls have a 'path' of points
+ *                                 they travel along and back in 'period' ms at 'speed' units per frame, 'x' and 'y'
+ *                                 being their current position. Doors have the index of their 'plate' and are 'open'
+ *                                 while it is pressed or a ball is in the doorway.
+ *     wallGrid: { pitch, columns, rows, cells },
+ *                                 Broadphase index, 'cells[row * columns + column]' lists the static walls close to a
+ *                                 cell.
+ *     dynamicWalls: [],           Indices of the moving walls and doors.
+ *     physics: { gravity, friction, maxVelocity, velocityLimit, wallRestitution },
+ *                                 The physics profile of the game, see 'physicsProfiles'.
+ *     surface: { pitch, columns, rows, cells, physics, maxVelocity },
+ *                                 The material of every cell, 'cells[row * columns + column]' ("" for none), and the
+ *                                 'physics' of every material, which is the profile with the values of the material
+ *                                 applied (see 'surfaceMaterials'). 'maxVelocity' is the highest of all cells.
+ *     plates: [{ x, y, radius, pressed }],
+ *                                 Pressure plates, 'pressed' while a ball touches them.
+ *     goals: [{ x, y, radius, color }],
+ *                                 Goal zones. A goal with a color only accepts balls of that color (see 'goalAccepts').
+ *     holes: [{ x, y, radius }],
+ *     materials: [{ x, y, size, material }],
+ *                                 Cells with a material, 'x' and 'y' being their top left corner.
+ *     starts: [{ x, y }],         Start positions of the balls, where they return to after falling into a hole.
+ *     balls: [{ x, y, velocityX, velocityY, cluster, falling, hole, color, inGoal }],
+ *                                 'falling' is the time (ms) left until a ball that fell into hole number 'hole' is
+ *                                 gone, 0 while the ball rolls. 'inGoal' tells whether the ball was in a goal zone
+ *                                 accepting it after the last step.
+ *     links: [[a, b]],            Pairs of ball indices stuck together (sticky mode only).
+ *     options: { stickyBalls, holeRule, lives, broadphase, profile, physics },
+ *     lives,                      Lives left (hole rule "lives" only).
+ *     time, steps, accumulator,   Simulated time (ms), number of steps run and time not simulated yet (ms).
+ *     events: [],                 Things that happened during the steps, e.g. { type: "wallHit", ball, wall, part,
+ *                                 strength } with the 'part' of the wall that was hit (see 'collideWithWall'),
+ *                                 { type: "ballHit", ball, other, strength }, { type: "ballFell", ball, hole },
+ *                                 { type: "goalEntered", ball, goal }, { type: "platePressed", plate } or
+ *                                 { type: "plateReleased", plate }.
+ *     won: false,
+ *     failed: false
+ *   }
+ *
+ * Hole rules, i.e. what happens after a ball fell into a hole:
+ *   - restart: The ball returns to its start cell. The game cannot be lost.
+ *   - lives: The player loses a life and all balls return to their start cells. Without lives left, the game is lost.
+ */
+
+// Duration of one simulation step in milliseconds, the expected duration of a single frame at 60 FPS
+const fixedTimestep = 16;
+// Longest time in milliseconds simulated per call of 'advance', e.g. after the tab was in the background
+const maxAdvanceTime = 250;
+// Most substeps a step is split into (see 'substepCount'), so a broken world cannot freeze the page
+const maxSubsteps = 64;
+// Factor between the tilt of the device and the rotation of the board
+const rotationFactor = 0.8;
+// Share of the approach speed that two colliding balls keep when they bounce off each other
+const ballRestitution = 0.8;
+// Approach speeds (units per frame) below this are treated as resting contact, so touching balls settle instead of jittering
+const restingSpeed = 0.02;
+// Diameter of a hole in cells. Slightly less than the space a ball has beside it, so careful players can pass a hole.
+const holeSize = 0.45;
+// Duration of the fall into a hole in milliseconds, until the ball is gone
+const fallDuration = 480;
+// Diameter of a pressure plate in cells, a ball touching it presses it, wherever in the cell the ball rests
+const plateSize = 0.5;
+
+/*
+Physics profiles that can be chosen per game (option 'profile' of 'createWorld'):
+  - gravity: Acceleration of a ball on a board tilted by 90 degrees, in units per frame squared.
+  - friction: Coefficient of friction, slowing balls down against the tilt and to a halt on a flat board.
+  - maxVelocity: Highest speed the tilt accelerates a ball to, in units per frame.
+  - velocityLimit: Limit of each velocity component before friction is applied, in units per frame.
+  - wallRestitution: Share of its speed a ball keeps when it bounces off the side of a wall.
+*/
+const physicsProfiles = {
+    // The heavy glass marble the game was tuned with
+    marble: { gravity: 0.1, friction: 0.001, maxVelocity: 0.25, velocityLimit: 1.5, wallRestitution: 1 / 6 },
+    // Accelerates faster and bounces off walls
+    steel: { gravity: 0.14, friction: 0.002, maxVelocity: 0.3, velocityLimit: 1.5, wallRestitution: 0.45 },
+    // Slow to get going and hard to stop
+    ice: { gravity: 0.05, friction: 0, maxVelocity: 0.35, velocityLimit: 1.5, wallRestitution: 0.3 },
+};
+const defaultPhysicsProfile = "marble";
+
+/*
+Materials of the board surface, which levels can assign to single cells. They override some values of the physics
+profile while the center of a ball is within the cell.
+*/
+const surfaceMaterials = {
+    // Nearly no grip, balls slide faster
+    ice: { friction: 0, maxVelocity: 0.4 },
+    // Slows balls down, they only move on a clearly tilted board
+    sand: { friction: 0.3, maxVelocity: 0.1 },
+    // The walls around the cell kick balls back faster than they came
+    bumper: { wallRestitution: 1.2 },
+};
+
+// Dimensions of the board in logical units, a cell is 'pathWidth + wallWidth' wide
+const defaultGeometry = {
+    pathWidth: 30,
+    wallWidth: 10,
+    ballSize: 10, // Width and height of the ball
+};
+
+/**
+ * Clamps a value within a symmetric range around zero.
+ * This function ensures that the given value does not exceed the specified limit or its negative.
+ *
+ * @param {number} value - The value to be clamped.
+ * @param {number} limit - The upper and lower symmetric limit for the clamping.
+ * @returns {number} The clamped value, which is within the range [-limit, limit].
+ */
+const minmax = (value, limit) => {
+    return Math.max(Math.min(value, limit), -limit);
+};
+
+/**
+ * Calculates the Euclidean distance between two points in 2D space.
+ * 
+ * @param {Object} p1 - The first point with properties x and y.
+ * @param {Object} p2 - The second point with properties x and y.
+ * @returns {number} The Euclidean distance between point p1 and p2.
+ */
+const distance2D = (p1, p2) => {
+    return Math.sqrt((p2.x - p1.x) ** 2 + (p2.y - p1.y) ** 2);
+};
+
+/**
+ * Calculates the angle between two points in a 2D space.
+ * This function computes the angle in radians between a line connecting two points (p1, p2) and the x-axis.
+ * The angle is calculated using the arctangent of the slope of the line.
+ * Adjustments are made to ensure the correct angle is returned when the second point lies to the left of the first point.
+ * 
+ * @param {Object} p1 - The first point, with properties 'x' and 'y'.
+ * @param {Object} p2 - The second point, with properties 'x' and 'y'.
+ * @returns {number} The angle in radians between the line connecting p1 and p2 and the x-axis.
+ */
+const getAngle = (p1, p2) => {
+    let angle = Math.atan((p2.y - p1.y) / (p2.x - p1.x));
+    if (p2.x - p1.x < 0) angle += Math.PI;
+    return angle;
+};
+
+/**
+ * Calculates the closest point a ball can be to a wall cap within the maze.
+ * This function determines the nearest position a ball can occupy relative to a wall cap without overlapping it,
+ * based on their respective sizes and the angle between them. The calculation involves finding the point on the 
+ * perimeter of an imaginary circle around the wall cap, which represents the closest approach of the ball's center.
+ * 
+ * @param {Object} cap - The wall cap, with properties 'x' and 'y' representing its coordinates.
+ * @param {Object} geometry - The dimensions of the board, with properties 'wallWidth' and 'ballSize'.
+ * @param {Object} ball - The ball, with properties 'x' and 'y' representing its current coordinates.
+ * @returns {Object} An object containing the 'x' and 'y' coordinates of the closest point the ball can be to the wall cap.
+ */
+const closestItCanBe = (cap, { wallWidth, ballSize }, ball) => {
+    let angle = getAngle(cap, ball);
+
+    const deltaX = Math.cos(angle) * (wallWidth / 2 + ballSize / 2);
+    const deltaY = Math.sin(angle) * (wallWidth / 2 + ballSize / 2);
+
+    return { x: cap.x + deltaX, y: cap.y + deltaY };
+};
+
+/**
+ * Determines the new position and velocity of a ball as it rolls around a wall cap.
+ * This function is used to simulate the rolling motion of a ball when it comes into contact with the end cap of a wall.
+ * It calculates the ball's new position and adjusted velocity based on its collision with the cap. 
+ * The calculations take into account the direction of the ball's impact, its intended heading, and the resulting angle 
+ * of deflection. The function also considers the velocity magnitude and how it is affected by the impact.
+ * 
+ * @param {Object} cap - The wall cap, with properties 'x' and 'y' representing its coordinates.
+ * @param {Object} geometry - The dimensions of the board, with properties 'wallWidth' and 'ballSize'.
+ * @param {Object} ball - The ball, with properties 'x', 'y', 'velocityX', and 'velocityY'.
+ * @returns {Object} An object containing the new position ('x', 'y') and velocity ('velocityX', 'velocityY') of the ball,
+ *                   as well as the next anticipated position ('nextX', 'nextY').
+ */
+const rollAroundCap = (cap, { wallWidth, ballSize }, ball) => {
+    // The direction the ball can't move any further because the wall holds it back
+    let impactAngle = getAngle(ball, cap);
+
+    // The direction the ball wants to move based on it's velocity
+    let heading = getAngle(
+        { x: 0, y: 0 },
+        { x: ball.velocityX, y: ball.velocityY }
+    );
+
+    /*
+    The angle between the impact direction and the ball's desired direction.
+    The smaller this angle is, the bigger the impact.
+    The closer it is to 90 degrees the smoother it gets (at 90 there would be no collision).
+    */
+    let impactHeadingAngle = impactAngle - heading;
+
+    // Velocity distance if not hit would have occurred
+    const velocityMagnitude = distance2D(
+        { x: 0, y: 0 },
+        { x: ball.velocityX, y: ball.velocityY }
+    );
+
+    // Velocity component diagonal to the impact
+    const velocityMagnitudeDiagonalToTheImpact =
+        Math.sin(impactHeadingAngle) * velocityMagnitude;
+
+    // How far should the ball be from the wall cap
+    const closestDistance = wallWidth / 2 + ballSize / 2;
+
+    const rotationAngle = Math.atan(
+        velocityMagnitudeDiagonalToTheImpact / closestDistance
+    );
+
+    const deltaFromCap = {
+        x: Math.cos(impactAngle + Math.PI - rotationAngle) * closestDistance,
+        y: Math.sin(impactAngle + Math.PI - rotationAngle) * closestDistance
+    };
+
+    const x = ball.x;
+    const y = ball.y;
+    const velocityX = ball.x - (cap.x + deltaFromCap.x);
+    const velocityY = ball.y - (cap.y + deltaFromCap.y);
+    const nextX = x + velocityX;
+    const nextY = y + velocityY;
+
+    return { x, y, velocityX, velocityY, nextX, nextY };
+};
+
+/**
+ * Reduces the absolute value of a number while preserving its sign, without going below zero.
+ * This function is used to gradually decrease a numeric value (such as velocity) over time, simulating a slowing effect.
+ * It decreases the number by a specified 'difference' value, but ensures that the number does not cross zero and flip sign.
+ * The function is particularly useful in scenarios where a gradual deceleration or fade-out effect is required.
+ * 
+ * @param {number} number - The original number to be slowed down.
+ * @param {number} difference - The amount by which the number should be reduced.
+ * @returns {number} The slowed down value of the original number.
+ */
+const slow = (number, difference) => {
+    if (Math.abs(number) <= difference) return 0;
+    if (number > difference) return number - difference;
+    return number + difference;
+};
+
+/**
+ * Converts a position given in grid units into logical units of the board.
+ * Grid lines (where walls are placed) lie at whole numbers, the centers of cells at half numbers.
+ * 
+ * @param {number} gridUnits - The position in grid units.
+ * @param {Object} [geometry=defaultGeometry] - The dimensions of the board.
+ * @returns {number} The position in logical units.
+ */
+const toBoardUnits = (gridUnits, { pathWidth, wallWidth } = defaultGeometry) => {
+    return gridUnits * (pathWidth + wallWidth);
+};
+
+/**
+ * Calculates the longest distance a ball may move within one substep.
+ * A ball touches a wall when its center is closer to the wall than half of the ball size plus half of the wall width.
+ * Moving at most half of that distance per substep, a ball can never get from one side of a wall to the other without
+ * being detected inside the wall, where it is pushed back to the side it came from. Half of that again leaves room for
+ * balls that are pushed by other balls or roll around a cap.
+ * 
+ * @param {Object} geometry - The dimensions of the board.
+ * @returns {number} The distance in logical units.
+ */
+const maxTravel = ({ wallWidth, ballSize }) => {
+    return (wallWidth + ballSize) / 4;
+};
+
+/**
+ * Calculates the shortest period of a moving wall, at which it moves no further than 'maxTravel' in a step of
+ * 'fixedTimestep'. Faster walls would need so many substeps that the simulation could not keep up.
+ *
+ * @param {number} length - The length of the path of the wall in logical units, one way.
+ * @param {Object} [geometry=defaultGeometry] - The dimensions of the board.
+ * @returns {number} The period in milliseconds.
+ */
+const minWallPeriod = (length, geometry = defaultGeometry) => {
+    return (length * 2 * fixedTimestep) / maxTravel(geometry);
+};
+
+/**
+ * Indexes the static walls into a uniform grid with the cells of the maze (broadphase).
+ * Every cell lists all walls that a ball whose center lies in the cell could touch: a wall is entered into all cells
+ * overlapped by its bounding box, grown by the distance at which a ball touches the wall plus 'maxTravel'. The
+ * walls of a cell are listed in the order of the wall list, so collisions are resolved in the same order as without
+ * the grid.
+ * 
+ * @param {Array} walls - The walls in logical units.
+ * @param {number} columns - The number of columns of the maze.
+ * @param {number} rows - The number of rows of the maze.
+ * @param {Object} geometry - The dimensions of the board.
+ * @returns {Object} The grid with 'pitch' (cell size in logical units), 'columns', 'rows' and 'cells'.
+ */
+const createWallGrid = (walls, columns, rows, geometry) => {
+    const grid = {
+        pitch: toBoardUnits(1, geometry),
+        columns,
+        rows,
+        cells: Array.from({ length: columns * rows }, () => []),
+    };
+    const reach = geometry.wallWidth / 2 + geometry.ballSize / 2 + maxTravel(geometry);
+
+    walls.forEach((wall, index) => {
+        if (isDynamicWall(wall)) return;
+        const right = wall.horizontal ? wall.x + wall.length : wall.x;
+        const bottom = wall.horizontal ? wall.y : wall.y + wall.length;
+        const lastRow = gridCell(grid, bottom + reach, rows);
+        const lastColumn = gridCell(grid, right + reach, columns);
+        for (let row = gridCell(grid, wall.y - reach, rows); row <= lastRow; row++) {
+            for (let column = gridCell(grid, wall.x - reach, columns); column <= lastColumn; column++) {
+                grid.cells[row * columns + column].push(index);
+            }
+        }
+    });
+    return grid;
+};
+
+/**
+ * Checks whether a wall moves or opens while playing, i.e. whether it is a moving wall or a door.
+ * 
+ * @param {Object} wall - The wall of the world state.
+ * @returns {boolean} True for moving walls and doors.
+ */
+const isDynamicWall = (wall) => {
+    return wall.path !== undefined || wall.plate !== undefined;
+};
+
+/**
+ * Determines where a moving wall is at a point in time.
+ * The wall travels along its path at a constant speed and back again, so it returns to its start after every period.
+ * 
+ * @param {Object} wall - The moving wall, with 'path' (points in logical units, starting with its start position) and
+ *                        'period' (ms).
+ * @param {number} time - The simulated time in milliseconds.
+ * @returns {Object} The position { x, y } of the start of the wall.
+ */
+const pathPosition = ({ path, period }, time) => {
+    const legs = path.slice(1).map((point, index) => distance2D(path[index], point));
+    const total = legs.reduce((sum, length) => sum + length, 0);
+    if (!total) return { x: path[0].x, y: path[0].y };
+
+    // Distance travelled on the way out, mirrored on the way back
+    const travelled = ((time % period) / period) * total * 2;
+    let remaining = travelled > total ? total * 2 - travelled : travelled;
+    let leg = 0;
+    while (leg < legs.length - 1 && remaining > legs[leg]) {
+        remaining -= legs[leg];
+        leg++;
+    }
+    const share = legs[leg] ? Math.min(remaining / legs[leg], 1) : 0;
+    return {
+        x: path[leg].x + (path[leg + 1].x - path[leg].x) * share,
+        y: path[leg].y + (path[leg + 1].y - path[leg].y) * share,
+    };
+};
+
+/**
+ * Converts a coordinate of the board into the column or row of the grid, clamped to the board.
+ * 
+ * @param {Object} grid - The wall grid or the surface, with the 'pitch' of its cells.
+ * @param {number} position - The x or y coordinate in logical units.
+ * @param {number} count - The number of columns or rows.
+ * @returns {number} The column or row.
+ */
+const gridCell = (grid, position, count) => {
+    return Math.min(Math.max(Math.floor(position / grid.pitch), 0), count - 1);
+};
+
+/**
+ * Looks up the walls a ball could touch in the broadphase grid.
+ * 
+ * @param {Object} grid - The wall grid, as created by 'createWallGrid'.
+ * @param {Object} ball - The ball, with properties 'x' and 'y'.
+ * @returns {Array} The indices of the walls close to the ball, in the order of the wall list.
+ */
+const nearbyWalls = (grid, ball) => {
+    return grid.cells[gridCell(grid, ball.y, grid.rows) * grid.columns + gridCell(grid, ball.x, grid.columns)];
+};
+
+/**
+ * Applies a physics profile to the materials of a surface.
+ * 
+ * @param {Object} surface - The surface, as created by 'createSurface'.
+ * @param {Object} physics - The physics profile of the game.
+ * @returns {Object} The surface with the physics of every material and the highest 'maxVelocity' of all cells.
+ */
+const applyPhysics = (surface, physics) => {
+    // Cells without a material have the profile as it is
+    const byMaterial = { "": physics };
+    surface.cells.forEach((material) => {
+        byMaterial[material] = byMaterial[material] || { ...physics, ...surfaceMaterials[material] };
+    });
+
+    return {
+        ...surface,
+        physics: byMaterial,
+        maxVelocity: Math.max(...Object.values(byMaterial).map((cell) => cell.maxVelocity)),
+    };
+};
+
+/**
+ * Determines the physics of every cell of the board.
+ * 
+ * @param {Object} level - The level layout in grid units, with optional 'materials' ({ column, row, material }).
+ * @param {Object} physics - The physics profile of the game.
+ * @param {Object} geometry - The dimensions of the board.
+ * @returns {Object} The surface with 'pitch', 'columns', 'rows', the material of every cell ("" for none) as 'cells',
+ *                   the physics of every material as 'physics' and 'maxVelocity'.
+ */
+const createSurface = (level, physics, geometry) => {
+    const { columns, rows } = level;
+    const cells = new Array(columns * rows).fill("");
+    (level.materials || []).forEach(({ column, row, material }) => {
+        cells[row * columns + column] = material;
+    });
+
+    return applyPhysics({ pitch: toBoardUnits(1, geometry), columns, rows, cells }, physics);
+};
+
+/**
+ * Looks up the material of the cell the center of a ball is in.
+ * 
+ * @param {Object} surface - The surface, as created by 'createSurface'.
+ * @param {Object} ball - The ball, with properties 'x' and 'y'.
+ * @returns {string} The material, "" for a cell without one.
+ */
+const surfaceMaterial = (surface, ball) => {
+    const row = gridCell(surface, ball.y, surface.rows);
+    return surface.cells[row * surface.columns + gridCell(surface, ball.x, surface.columns)];
+};
+
+/**
+ * Looks up the physics of the cell the center of a ball is in.
+ * 
+ * @param {Object} surface - The surface, as created by 'createSurface'.
+ * @param {Object} ball - The ball, with properties 'x' and 'y'.
+ * @returns {Object} The physics profile of the cell, with the values of its material applied.
+ */
+const surfacePhysics = (surface, ball) => {
+    return surface.physics[surfaceMaterial(surface, ball)];
+};
+
+/**
+ * Changes values of the physics profile of a running world, e.g. to tune them while playing.
+ * Runs whose physics were changed while playing can no longer be replayed.
+ * 
+ * @param {Object} world - The world state. Modified in place.
+ * @param {Object} changes - The new values, e.g. { gravity: 0.2 }.
+ */
+const tunePhysics = (world, changes) => {
+    world.physics = { ...world.physics, ...changes };
+    world.surface = applyPhysics(world.surface, world.physics);
+};
+
+/**
+ * Checks whether a goal zone accepts a ball. Goals without a color accept every ball, goals with a color only balls
+ * of the same color.
+ * 
+ * @param {Object} goal - The goal, with an optional 'color'.
+ * @param {Object} ball - The ball, with an optional 'color'.
+ * @returns {boolean} True if the ball counts when it is in the goal.
+ */
+const goalAccepts = (goal, ball) => {
+    return goal.color === undefined || goal.color === ball.color;
+};
+
+/**
+ * Creates the world state for a level, with every ball resting in the center of its start cell.
+ * 
+ * @param {Object} level - The resolved level layout in grid units, as returned by 'resolveLevel' (js/levels.js).
+ * @param {Object} [options] - The simulation options.
+ * @param {Object} [options.geometry=defaultGeometry] - The dimensions of the board.
+ * @param {boolean} [options.stickyBalls=false] - Whether balls that touch merge into a cluster that moves together.
+ * @param {string} [options.holeRule="restart"] - What happens after a ball fell into a hole, "restart" or "lives".
+ * @param {number} [options.lives=3] - The number of lives (hole rule "lives" only).
+ * @param {boolean} [options.broadphase=true] - Whether wall collisions use the broadphase grid. Only turned off to
+ *                                              measure its benefit.
+ * @param {string} [options.profile="marble"] - The name of the physics profile, one of the keys of 'physicsProfiles'.
+ * @param {Object} [options.physics] - Values replacing those of the profile, e.g. { gravity: 0.2 }.
+ * @returns {Object} The world state, see the description at the top of this file.
+ */
+const createWorld = (level, {
+    geometry = defaultGeometry,
+    stickyBalls = false,
+    holeRule = "restart",
+    lives = 3,
+    broadphase = true,
+    profile = defaultPhysicsProfile,
+    physics: changes,
+} = {}) => {
+    const physics = { ...physicsProfiles[profile], ...changes };
+    const toWall = ({ column, row, horizontal, length }) => ({
+        x: toBoardUnits(column, geometry),
+        y: toBoardUnits(row, geometry),
+        horizontal,
+        length: toBoardUnits(length, geometry),
+    });
+    const toPoint = ({ column, row }) => ({ x: toBoardUnits(column, geometry), y: toBoardUnits(row, geometry) });
+
+    const movingWalls = (level.movingWalls || []).map((wall) => {
+        const path = [toPoint(wall)].concat(wall.path.map(toPoint));
+        const length = path.slice(1).reduce((sum, point, index) => sum + distance2D(path[index], point), 0);
+        // There and back again once per period
+        return { ...toWall(wall), path, period: wall.period, speed: (length * 2 * fixedTimestep) / wall.period };
+    });
+    const doors = (level.doors || []).map((door) => ({ ...toWall(door), plate: door.plate, open: false }));
+    const walls = level.walls.map(toWall).concat(movingWalls, doors);
+    const starts = level.balls.map((ball) => ({
+        x: toBoardUnits(ball.column + 0.5, geometry),
+        y: toBoardUnits(ball.row + 0.5, geometry),
+    }));
+
+    return {
+        geometry,
+        width: toBoardUnits(level.columns, geometry),
+        height: toBoardUnits(level.rows, geometry),
+        options: { stickyBalls, holeRule, lives, broadphase, profile, physics: changes },
+        walls,
+        wallGrid: createWallGrid(walls, level.columns, level.rows, geometry),
+        dynamicWalls: walls.map((wall, index) => index).filter((index) => isDynamicWall(walls[index])),
+        physics,
+        surface: createSurface(level, physics, geometry),
+        plates: (level.plates || []).map((plate) => ({
+            x: toBoardUnits(plate.column + 0.5, geometry),
+            y: toBoardUnits(plate.row + 0.5, geometry),
+            radius: toBoardUnits(plateSize, geometry) / 2,
+            pressed: false,
+        })),
+        goals: level.goals.map((goal) => ({
+            x: toBoardUnits(goal.x, geometry),
+            y: toBoardUnits(goal.y, geometry),
+            radius: toBoardUnits(goal.size, geometry) / 2,
+            color: goal.color,
+        })),
+        holes: (level.holes || []).map((hole) => ({
+            x: toBoardUnits(hole.column + 0.5, geometry),
+            y: toBoardUnits(hole.row + 0.5, geometry),
+            radius: toBoardUnits(holeSize, geometry) / 2,
+        })),
+        materials: (level.materials || []).map(({ column, row, material }) => ({
+            x: toBoardUnits(column, geometry),
+            y: toBoardUnits(row, geometry),
+            size: toBoardUnits(1, geometry),
+            material,
+        })),
+        starts,
+        balls: starts.map(({ x, y }, index) => ({
+            x,
+            y,
+            velocityX: 0,
+            velocityY: 0,
+            // Every ball starts as its own cluster
+            cluster: index,
+            falling: 0,
+            hole: undefined,
+            color: level.balls[index].color,
+            inGoal: false,
+        })),
+        links: [],
+        lives,
+        time: 0,
+        steps: 0,
+        accumulator: 0,
+        events: [],
+        won: false,
+        failed: false,
+    };
+};
+
+/**
+ * Resolves a collision between a ball and a wall.
+ * The ball's preliminary next position ('nextX', 'nextY') is tested against the strip of the wall and its two caps.
+ * On a hit, the ball is moved out of the wall and its velocity is changed: it bounces off the strip, keeping the share
+ * 'restitution' of its speed, or it rolls around the cap.
+ * 
+ * @param {Object} ball - The ball, with properties 'x', 'y', 'nextX', 'nextY', 'velocityX' and 'velocityY'. Modified in place.
+ * @param {Object} wall - The wall in logical units, with properties 'x', 'y', 'horizontal' and 'length'.
+ * @param {Object} geometry - The dimensions of the board.
+ * @param {number} [restitution] - The share of its speed the ball keeps when bouncing off the strip, by default the
+ *                                 one of the default physics profile.
+ * @returns {string|undefined} The part of the wall the ball hit last, "start" or "end" for the caps and "strip" for
+ *                             its side, or undefined if the ball did not hit the wall.
+ */
+const collideWithWall = (ball, wall, geometry, restitution = physicsProfiles[defaultPhysicsProfile].wallRestitution) => {
+    const { wallWidth, ballSize } = geometry;
+    let hit;
+
+    if (wall.horizontal) {
+        // Horizontal wall
+        if (
+            ball.nextY + ballSize / 2 >= wall.y - wallWidth / 2 &&
+            ball.nextY - ballSize / 2 <= wall.y + wallWidth / 2
+        ) {
+            /*
+            Ball got within the strip of the wall.
+            (not necessarily hit it, could be before or after).
+            */
+
+            const wallStart = {
+                x: wall.x,
+                y: wall.y,
+            };
+            const wallEnd = {
+                x: wall.x + wall.length,
+                y: wall.y,
+            };
+
+            if (
+                ball.nextX + ballSize / 2 >= wallStart.x - wallWidth / 2 &&
+                ball.nextX < wallStart.x
+            ) {
+                // Ball might hit the left cap of a horizontal wall
+                const distance = distance2D(wallStart, {
+                    x: ball.nextX,
+                    y: ball.nextY,
+                });
+                if (distance < ballSize / 2 + wallWidth / 2) {
+                    // Ball hits the left cap of a horizontal wall
+                    const closest = closestItCanBe(wallStart, geometry, {
+                        x: ball.nextX,
+                        y: ball.nextY,
+                    });
+                    const rolled = rollAroundCap(wallStart, geometry, {
+                        x: closest.x,
+                        y: closest.y,
+                        velocityX: ball.velocityX,
+                        velocityY: ball.velocityY,
+                    });
+
+                    Object.assign(ball, rolled);
+                    hit = "start";
+                }
+            }
+
+            if (
+                ball.nextX - ballSize / 2 <= wallEnd.x + wallWidth / 2 &&
+                ball.nextX > wallEnd.x
+            ) {
+                // Ball might hit the right cap of a horizontal wall
+                const distance = distance2D(wallEnd, {
+                    x: ball.nextX,
+                    y: ball.nextY,
+                });
+                if (distance < ballSize / 2 + wallWidth / 2) {
+                    // Ball hits the right cap of a horizontal wall
+                    const closest = closestItCanBe(wallEnd, geometry, {
+                        x: ball.nextX,
+                        y: ball.nextY,
+                    });
+                    const rolled = rollAroundCap(wallEnd, geometry, {
+                        x: closest.x,
+                        y: closest.y,
+                        velocityX: ball.velocityX,
+                        velocityY: ball.velocityY,
+                    });
+
+                    Object.assign(ball, rolled);
+                    hit = "end";
+                }
+            }
+
+            if (ball.nextX >= wallStart.x && ball.nextX <= wallEnd.x) {
+                // The ball got inside the main body of the wall
+                if (ball.nextY < wall.y) {
+                    // Hit horizontal wall from top
+                    ball.nextY = wall.y - wallWidth / 2 - ballSize / 2;
+                } else {
+                    // Hit horizontal wall from bottom
+                    ball.nextY = wall.y + wallWidth / 2 + ballSize / 2;
+                }
+                ball.y = ball.nextY;
+                ball.velocityY = -ball.velocityY * restitution;
+                hit = "strip";
+            }
+        }
+    } else {
+        // Vertical wall
+        if (
+            ball.nextX + ballSize / 2 >= wall.x - wallWidth / 2 &&
+            ball.nextX - ballSize / 2 <= wall.x + wallWidth / 2
+        ) {
+            /*
+            Ball got within the strip of the wall.
+            (not necessarily hit it, could be before or after).
+            */
+            const wallStart = {
+                x: wall.x,
+                y: wall.y,
+            };
+            const wallEnd = {
+                x: wall.x,
+                y: wall.y + wall.length,
+            };
+
+            if (
+                ball.nextY + ballSize / 2 >= wallStart.y - wallWidth / 2 &&
+                ball.nextY < wallStart.y
+            ) {
+                // Ball might hit the top cap of a horizontal wall
+                const distance = distance2D(wallStart, {
+                    x: ball.nextX,
+                    y: ball.nextY,
+                });
+                if (distance < ballSize / 2 + wallWidth / 2) {
+                    // Ball hits the left cap of a horizontal wall
+                    const closest = closestItCanBe(wallStart, geometry, {
+                        x: ball.nextX,
+                        y: ball.nextY,
+                    });
+                    const rolled = rollAroundCap(wallStart, geometry, {
+                        x: closest.x,
+                        y: closest.y,
+                        velocityX: ball.velocityX,
+                        velocityY: ball.velocityY,
+                    });
+
+                    Object.assign(ball, rolled);
+                    hit = "start";
+                }
+            }
+
+            if (
+                ball.nextY - ballSize / 2 <= wallEnd.y + wallWidth / 2 &&
+                ball.nextY > wallEnd.y
+            ) {
+                // Ball might hit the bottom cap of a horizontal wall
+                const distance = distance2D(wallEnd, {
+                    x: ball.nextX,
+                    y: ball.nextY,
+                });
+                if (distance < ballSize / 2 + wallWidth / 2) {
+                    // Ball hits the right cap of a horizontal wall
+                    const closest = closestItCanBe(wallEnd, geometry, {
+                        x: ball.nextX,
+                        y: ball.nextY,
+                    });
+                    const rolled = rollAroundCap(wallEnd, geometry, {
+                        x: closest.x,
+                        y: closest.y,
+                        velocityX: ball.velocityX,
+                        velocityY: ball.velocityY,
+                    });
+
+                    Object.assign(ball, rolled);
+                    hit = "end";
+                }
+            }
+
+            if (ball.nextY >= wallStart.y && ball.nextY <= wallEnd.y) {
+                // The ball got inside the main body of the wall
+                if (ball.nextX < wall.x) {
+                    // Hit vertical wall from left
+                    ball.nextX = wall.x - wallWidth / 2 - ballSize / 2;
+                } else {
+                    // Hit vertical wall from right
+                    ball.nextX = wall.x + wallWidth / 2 + ballSize / 2;
+                }
+                ball.x = ball.nextX;
+                ball.velocityX = -ball.velocityX * restitution;
+                hit = "strip";
+            }
+        }
+    }
+
+    return hit;
+};
+
+/**
+ * Resolves a collision between two balls.
+ * Overlapping balls are pushed apart along the line between their centers. If they are moving towards each other,
+ * the velocity components along that line are exchanged as in an elastic collision of equal masses, reduced by the
+ * restitution, while the components across it stay untouched.
+ * 
+ * @param {Object} a - The first ball, with properties 'x', 'y', 'velocityX' and 'velocityY'. Modified in place.
+ * @param {Object} b - The second ball. Modified in place.
+ * @param {number} ballSize - The diameter of the balls.
+ * @returns {number} The approach speed of the impact, 0 if the balls did not touch or were not approaching each other.
+ */
+const collideBalls = (a, b, ballSize) => {
+    const distance = distance2D(a, b);
+    if (distance >= ballSize) return 0;
+
+    // Normal pointing from a to b, balls on the exact same spot are separated horizontally
+    const normal = distance > 0
+        ? { x: (b.x - a.x) / distance, y: (b.y - a.y) / distance }
+        : { x: 1, y: 0 };
+
+    // Both balls move half of the overlap out of each other
+    const overlap = (ballSize - distance) / 2;
+    a.x -= normal.x * overlap;
+    a.y -= normal.y * overlap;
+    b.x += normal.x * overlap;
+    b.y += normal.y * overlap;
+
+    // Relative velocity along the normal, negative if the balls approach each other
+    const approach = (b.velocityX - a.velocityX) * normal.x + (b.velocityY - a.velocityY) * normal.y;
+    if (approach >= 0) return 0;
+
+    // Slow contacts do not bounce, so balls resting against each other come to rest
+    const restitution = -approach < restingSpeed ? 0 : ballRestitution;
+    const impulse = (-(1 + restitution) * approach) / 2;
+    a.velocityX -= impulse * normal.x;
+    a.velocityY -= impulse * normal.y;
+    b.velocityX += impulse * normal.x;
+    b.velocityY += impulse * normal.y;
+
+    return -approach;
+};
+
+/**
+ * Makes the balls of every cluster move together (sticky mode).
+ * Each cluster moves with the velocity of its most restrained member: along each axis, if all members move in the
+ * same direction, the slowest member determines the speed, otherwise (e.g. one member was stopped by a wall and
+ * bounced back) the cluster does not move along that axis.
+ * 
+ * @param {Array} balls - The balls of the world. Modified in place.
+ */
+const moveClustersTogether = (balls) => {
+    const clusters = new Map();
+    balls.forEach((ball) => {
+        clusters.set(ball.cluster, (clusters.get(ball.cluster) || []).concat(ball));
+    });
+
+    const restrained = (velocities) => {
+        if (velocities.every((velocity) => velocity > 0)) return Math.min(...velocities);
+        if (velocities.every((velocity) => velocity < 0)) return Math.max(...velocities);
+        return 0;
+    };
+
+    clusters.forEach((members) => {
+        if (members.length < 2) return;
+        const velocityX = restrained(members.map((ball) => ball.velocityX));
+        const velocityY = restrained(members.map((ball) => ball.velocityY));
+        members.forEach((ball) => {
+            ball.velocityX = velocityX;
+            ball.velocityY = velocityY;
+        });
+    });
+};
+
+/**
+ * Resolves the contacts between all balls.
+ * In sticky mode, touching balls are linked and their clusters merged, and linked balls are kept exactly one ball
+ * diameter apart, so a cluster keeps its shape while it moves.
+ * 
+ * @param {Object} world - The world state. Modified in place, collisions are reported in 'world.events'.
+ */
+const collideAllBalls = (world) => {
+    const { balls, links, options, geometry: { ballSize } } = world;
+
+    for (let i = 0; i < balls.length; i++) {
+        for (let j = i + 1; j < balls.length; j++) {
+            // Balls falling into a hole are below the board
+            if (balls[i].hole !== undefined || balls[j].hole !== undefined) continue;
+
+            const touching = distance2D(balls[i], balls[j]) < ballSize;
+            const strength = collideBalls(balls[i], balls[j], ballSize);
+            if (strength > 0) {
+                world.events.push({ type: "ballHit", ball: i, other: j, strength });
+            }
+
+            if (touching && options.stickyBalls && !links.some(([a, b]) => a === i && b === j)) {
+                links.push([i, j]);
+                // Merge the cluster of the second ball into the cluster of the first one
+                const merged = balls[j].cluster;
+                balls.forEach((ball) => {
+                    if (ball.cluster === merged) ball.cluster = balls[i].cluster;
+                });
+            }
+        }
+    }
+
+    // Linked balls must not drift apart
+    links.forEach(([i, j]) => {
+        const a = balls[i];
+        const b = balls[j];
+        const distance = distance2D(a, b);
+        if (distance === 0) return;
+        const correction = (distance - ballSize) / 2;
+        const normal = { x: (b.x - a.x) / distance, y: (b.y - a.y) / distance };
+        a.x += normal.x * correction;
+        a.y += normal.y * correction;
+        b.x -= normal.x * correction;
+        b.y -= normal.y * correction;
+    });
+};
+
+/**
+ * Rebuilds the clusters of sticky balls from their links, e.g. after a ball left its cluster.
+ * 
+ * @param {Object} world - The world state. The clusters of its balls are modified in place.
+ */
+const rebuildClusters = (world) => {
+    const { balls, links } = world;
+    balls.forEach((ball, index) => {
+        ball.cluster = index;
+    });
+    links.forEach(([i, j]) => {
+        const merged = balls[j].cluster;
+        balls.forEach((ball) => {
+            if (ball.cluster === merged) ball.cluster = balls[i].cluster;
+        });
+    });
+};
+
+/**
+ * Puts balls back onto their start positions, at rest and without any links.
+ * 
+ * @param {Object} world - The world state. Modified in place.
+ * @param {Array} indices - The indices of the balls to put back.
+ */
+const returnToStart = (world, indices) => {
+    indices.forEach((index) => {
+        Object.assign(world.balls[index], {
+            ...world.starts[index],
+            velocityX: 0,
+            velocityY: 0,
+            falling: 0,
+            hole: undefined,
+        });
+    });
+    world.links = world.links.filter((link) => !link.some((index) => indices.includes(index)));
+    rebuildClusters(world);
+};
+
+/**
+ * Lets every ball whose center rolled over a hole fall into it.
+ * A falling ball stops, leaves its cluster and no longer collides with anything. Under the hole rule "lives", every
+ * fall costs a life.
+ * 
+ * @param {Object} world - The world state. Modified in place, falls are reported in 'world.events'.
+ */
+const fallIntoHoles = (world) => {
+    world.balls.forEach((ball, index) => {
+        if (ball.hole !== undefined) return;
+        const hole = world.holes.findIndex((candidate) => distance2D(ball, candidate) < candidate.radius);
+        if (hole === -1) return;
+
+        Object.assign(ball, { velocityX: 0, velocityY: 0, falling: fallDuration, hole });
+        world.events.push({ type: "ballFell", ball: index, hole });
+
+        if (world.links.some((link) => link.includes(index))) {
+            world.links = world.links.filter((link) => !link.includes(index));
+            rebuildClusters(world);
+        }
+        if (world.options.holeRule === "lives") {
+            world.lives = Math.max(world.lives - 1, 0);
+        }
+    });
+};
+
+/**
+ * Continues the falls into holes. A falling ball is pulled into the center of its hole until it is gone, then the hole
+ * rule decides what happens: the ball returns to its start, all balls return to their starts after a lost life, or the
+ * game is lost when no lives are left.
+ * 
+ * @param {Object} world - The world state. Modified in place.
+ * @param {number} dt - The duration of the step in milliseconds.
+ */
+const updateFalls = (world, dt) => {
+    const gone = [];
+    world.balls.forEach((ball, index) => {
+        if (!ball.falling) return;
+
+        const hole = world.holes[ball.hole];
+        const pull = Math.min((dt / fallDuration) * 4, 1);
+        ball.x += (hole.x - ball.x) * pull;
+        ball.y += (hole.y - ball.y) * pull;
+
+        ball.falling = Math.max(ball.falling - dt, 0);
+        if (!ball.falling) gone.push(index);
+    });
+    if (!gone.length) return;
+
+    if (world.options.holeRule !== "lives") {
+        returnToStart(world, gone);
+    } else if (world.lives > 0) {
+        returnToStart(world, world.balls.map((_, index) => index));
+    } else {
+        world.failed = true;
+    }
+};
+
+/**
+ * Calculates the acceleration and the friction a tilt of the board causes.
+ * 
+ * @param {Object} physics - The physics profile, with 'gravity' and 'friction'.
+ * @param {Object} tilt - The tilt of the board, with 'gamma' (left/right) and 'beta' (front/back) in degrees.
+ * @returns {Object} 'accelerationX', 'accelerationY', 'frictionX' and 'frictionY' in units per frame squared.
+ */
+const tiltForces = ({ gravity, friction }, tilt) => {
+    // Rotation of the board based on tilt
+    const rotationY = tilt.gamma * rotationFactor;
+    const rotationX = tilt.beta * rotationFactor;
+
+    return {
+        accelerationX: gravity * Math.sin((rotationY / 180) * Math.PI),
+        accelerationY: gravity * Math.sin((rotationX / 180) * Math.PI),
+        frictionX: gravity * Math.cos((rotationY / 180) * Math.PI) * friction,
+        frictionY: gravity * Math.cos((rotationX / 180) * Math.PI) * friction,
+    };
+};
+
+/**
+ * Moves the balls for a substep.
+ * The tilt of the board accelerates the balls, friction slows them down, and walls stop them. Then balls that touch
+ * each other bounce off or, in sticky mode, stick together, and balls over a hole fall into it.
+ * 
+ * @param {Object} world - The world state. Modified in place, collisions are reported in 'world.events'.
+ * @param {Object} [input] - The tilt of the board. Without input, the balls do not move.
+ * @param {number} dt - The duration of the substep in milliseconds.
+ */
+const moveBalls = (world, input, dt) => {
+    /*
+    Calculates the duration of the step in terms of 'frame units'.
+    Dividing the duration (in ms) by 'fixedTimestep' normalizes the value, so that
+    a value of 1 represents the expected duration of a single frame.
+    */
+    const timeElapsed = dt / fixedTimestep;
+
+    if (input) {
+        // Without the broadphase, every ball tests every wall
+        const allWalls = world.options.broadphase ? undefined : world.walls.map((_, wallIndex) => wallIndex);
+
+        world.balls.forEach((ball, index) => {
+            // Balls falling into a hole are no longer moved by the tilt
+            if (ball.hole !== undefined) return;
+
+            // Gravity and friction of the profile, changed by the material of the cell the ball is on
+            const physics = surfacePhysics(world.surface, ball);
+            const { maxVelocity, velocityLimit, wallRestitution } = physics;
+            const { accelerationX, accelerationY, frictionX, frictionY } = tiltForces(physics, input);
+
+            const velocityChangeX = accelerationX * timeElapsed;
+            const velocityChangeY = accelerationY * timeElapsed;
+            const frictionDeltaX = frictionX * timeElapsed;
+            const frictionDeltaY = frictionY * timeElapsed;
+
+            if (velocityChangeX == 0) {
+                /* 
+                No rotation, the plane is flat.
+                On flat surface friction can only slow down, but not reverse movement. Bounces and pushes by other
+                balls do not make a ball faster than the tilt could.
+                */
+                ball.velocityX = minmax(slow(ball.velocityX, frictionDeltaX), maxVelocity);
+            } else {
+                ball.velocityX = ball.velocityX + velocityChangeX;
+                ball.velocityX = minmax(ball.velocityX, velocityLimit);
+                ball.velocityX = ball.velocityX - Math.sign(velocityChangeX) * frictionDeltaX;
+                ball.velocityX = minmax(ball.velocityX, maxVelocity);
+            }
+
+            if (velocityChangeY == 0) {
+                /*
+                No rotation, the plane is flat.
+                On flat surface friction can only slow down, but not reverse movement.
+                */
+                ball.velocityY = minmax(slow(ball.velocityY, frictionDeltaY), maxVelocity);
+            } else {
+                ball.velocityY = ball.velocityY + velocityChangeY;
+                ball.velocityY = minmax(ball.velocityY, velocityLimit);
+                ball.velocityY =
+                    ball.velocityY - Math.sign(velocityChangeY) * frictionDeltaY;
+                ball.velocityY = minmax(ball.velocityY, maxVelocity);
+            }
+
+            /*
+            Preliminary next ball position, only becomes true if no hit occurs.
+            Used only for hit testing, does not mean that the ball will reach this position.
+            */
+            ball.nextX = ball.x + ball.velocityX * timeElapsed;
+            ball.nextY = ball.y + ball.velocityY * timeElapsed;
+
+            const candidates = world.options.broadphase
+                ? nearbyWalls(world.wallGrid, ball).concat(world.dynamicWalls)
+                : allWalls;
+            candidates.forEach((wallIndex) => {
+                const wall = world.walls[wallIndex];
+                if (wall.open) return;
+                const velocityBefore = { x: ball.velocityX, y: ball.velocityY };
+                const part = collideWithWall(ball, wall, world.geometry, wallRestitution);
+                if (part && wallRestitution > 1) {
+                    // Bumpers bounce balls back faster than they came, but never faster than the tilt could
+                    // accelerate them, so repeated bounces cannot add up until a ball passes through a wall
+                    ball.velocityX = minmax(ball.velocityX, maxVelocity);
+                    ball.velocityY = minmax(ball.velocityY, maxVelocity);
+                }
+                if (part) {
+                    world.events.push({
+                        type: "wallHit",
+                        ball: index,
+                        wall: wallIndex,
+                        part,
+                        strength: distance2D(velocityBefore, { x: ball.velocityX, y: ball.velocityY }),
+                    });
+                }
+            });
+        });
+
+        if (world.options.stickyBalls) {
+            moveClustersTogether(world.balls);
+        }
+
+        // Adjust ball metadata
+        world.balls.forEach((ball) => {
+            ball.x = ball.x + ball.velocityX * timeElapsed;
+            ball.y = ball.y + ball.velocityY * timeElapsed;
+        });
+
+        collideAllBalls(world);
+        fallIntoHoles(world);
+    }
+};
+
+/**
+ * Moves the moving walls to their positions at a point in time.
+ * 
+ * @param {Object} world - The world state. Its walls are modified in place.
+ * @param {number} time - The simulated time in milliseconds.
+ */
+const moveWalls = (world, time) => {
+    world.dynamicWalls.forEach((index) => {
+        const wall = world.walls[index];
+        if (wall.path) {
+            Object.assign(wall, pathPosition(wall, time));
+        }
+    });
+};
+
+/**
+ * Checks whether a ball overlaps a wall, including its caps, e.g. to keep a door from closing onto it.
+ * 
+ * @param {Object} ball - The ball, with properties 'x' and 'y'.
+ * @param {Object} wall - The wall in logical units.
+ * @param {Object} geometry - The dimensions of the board.
+ * @returns {boolean} True if the ball and the wall overlap.
+ */
+const overlapsWall = (ball, wall, { wallWidth, ballSize }) => {
+    // Closest point of the center line of the wall
+    const closest = wall.horizontal
+        ? { x: Math.min(Math.max(ball.x, wall.x), wall.x + wall.length), y: wall.y }
+        : { x: wall.x, y: Math.min(Math.max(ball.y, wall.y), wall.y + wall.length) };
+    return distance2D(ball, closest) < wallWidth / 2 + ballSize / 2;
+};
+
+/**
+ * Updates which pressure plates are pressed and opens or closes their doors accordingly.
+ * Balls falling into a hole do not press a plate. A door stays open as long as a ball is in its way, so it never
+ * closes onto a ball.
+ * 
+ * @param {Object} world - The world state. Modified in place, changes of the plates are reported in 'world.events'.
+ */
+const pressPlates = (world) => {
+    const { ballSize } = world.geometry;
+    world.plates.forEach((plate, index) => {
+        const pressed = world.balls.some(
+            (ball) => ball.hole === undefined && distance2D(ball, plate) < plate.radius + ballSize / 2,
+        );
+        if (pressed !== plate.pressed) {
+            world.events.push({ type: pressed ? "platePressed" : "plateReleased", plate: index });
+        }
+        plate.pressed = pressed;
+    });
+    world.dynamicWalls.forEach((index) => {
+        const wall = world.walls[index];
+        if (wall.plate !== undefined) {
+            wall.open = world.plates[wall.plate].pressed ||
+                (wall.open && world.balls.some((ball) => ball.hole === undefined && overlapsWall(ball, wall, world.geometry)));
+        }
+    });
+};
+
+/**
+ * Determines into how many substeps a step has to be split, so that no ball moves further than 'maxTravel' at once
+ * relative to any wall.
+ * No ball gets faster than the fastest ball at the start of the step or the speed the tilt accelerates balls to, as
+ * walls only slow balls down and colliding balls only pass on speed. Moving walls add their own speed. Valid levels
+ * never need more than a few substeps, the count is still limited to 'maxSubsteps'.
+ * 
+ * @param {Object} world - The world state before the step.
+ * @param {number} dt - The duration of the step in milliseconds.
+ * @returns {number} The number of substeps, 1 for regular steps of 'fixedTimestep'.
+ */
+const substepCount = (world, dt) => {
+    const fastest = Math.max(
+        world.surface.maxVelocity * Math.SQRT2,
+        ...world.balls.map((ball) => Math.hypot(ball.velocityX, ball.velocityY)),
+    ) + Math.max(0, ...world.dynamicWalls.map((index) => world.walls[index].speed || 0));
+    return Math.min(Math.max(Math.ceil(((dt / fixedTimestep) * fastest) / maxTravel(world.geometry)), 1), maxSubsteps);
+};
+
+/**
+ * Advances the world state by one step.
+ * Long steps are split into substeps (see 'substepCount'), in which the moving walls and the balls are moved and the
+ * falls into holes continue. Afterwards the pressure plates open or close their doors, and all balls are checked
+ * against the goals. The level is won when every ball is in a goal accepting it at the same time. The state is
+ * modified in place, collisions and balls entering a goal are reported in 'world.events'.
+ * 
+ * @param {Object} world - The world state, as created by 'createWorld'. Modified in place.
+ * @param {Object} [input] - The tilt of the board, with 'gamma' (left/right) and 'beta' (front/back) in degrees.
+ *                           Without input, the balls do not move.
+ * @param {number} [dt=fixedTimestep] - The duration of the step in milliseconds.
+ */
+const step = (world, input, dt = fixedTimestep) => {
+    const substeps = substepCount(world, dt);
+    for (let substep = 0; substep < substeps; substep++) {
+        moveWalls(world, world.time + (dt * (substep + 1)) / substeps);
+        moveBalls(world, input, dt / substeps);
+        updateFalls(world, dt / substeps);
+    }
+
+    world.time += dt;
+    world.steps += 1;
+    pressPlates(world);
+
+    // Win detection, balls falling into a hole do not count
+    world.balls.forEach((ball, index) => {
+        const goal = ball.hole === undefined
+            ? world.goals.findIndex((candidate) => goalAccepts(candidate, ball) && distance2D(ball, candidate) < candidate.radius)
+            : -1;
+        if (goal !== -1 && !ball.inGoal) {
+            world.events.push({ type: "goalEntered", ball: index, goal });
+        }
+        ball.inGoal = goal !== -1;
+    });
+    world.won = world.balls.every((ball) => ball.inGoal);
+};
+
+/**
+ * Advances the world state by the time that passed in reality, in fixed steps.
+ * Time that does not fill a whole step is kept in the accumulator and simulated on the next call, so the simulation
+ * runs at the same speed on every device no matter how long its frames take. Very long frames (e.g. after the tab was
+ * in the background) are cut to 'maxAdvanceTime', so the game does not jump ahead. Once the game is won or lost, no
+ * more steps are run.
+ * 
+ * @param {Object} world - The world state, as created by 'createWorld'. Modified in place.
+ * @param {Object|Function} input - The tilt of the board, or a function called with the world state before every
+ *                                  step that returns the tilt for that step.
+ * @param {number} elapsed - The time that passed since the last call, in milliseconds.
+ * @returns {number} The number of steps that were run.
+ */
+const advance = (world, input, elapsed) => {
+    world.accumulator += Math.min(elapsed, maxAdvanceTime);
+
+    let steps = 0;
+    while (world.accumulator >= fixedTimestep && !world.won && !world.failed) {
+        step(world, typeof input === "function" ? input(world) : input, fixedTimestep);
+        world.accumulator -= fixedTimestep;
+        steps++;
+    }
+    return steps;
+};
+
+/**
+ * Removes and returns all events that happened since the last call.
+ * 
+ * @param {Object} world - The world state. Its event list is emptied.
+ * @returns {Array} The events, in the order they happened.
+ */
+const takeEvents = (world) => {
+    return world.events.splice(0, world.events.length);
+};
+
+// Allows requiring the engine in Node, in the browser everything above is available as globals
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        fixedTimestep,
+        maxAdvanceTime,
+        maxSubsteps,
+        rotationFactor,
+        fallDuration,
+        physicsProfiles,
+        defaultPhysicsProfile,
+        surfaceMaterials,
+        defaultGeometry,
+        minmax,
+        distance2D,
+        toBoardUnits,
+        minWallPeriod,
+        goalAccepts,
+        pathPosition,
+        createWorld,
+        nearbyWalls,
+        surfaceMaterial,
+        surfacePhysics,
+        tunePhysics,
+        tiltForces,
+        collideWithWall,
+        collideBalls,
+        step,
+        advance,
+        takeEvents,
+    };
+}
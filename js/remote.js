@@ -0,0 +1,150 @@
+/**
+ * MoCIoT Web App: Phone as Remote Controller
+ *
+ * This script connects two tabs of the game through the relay of server/relay.js, so a phone can tilt the board of a
+ * game shown on a big screen. The display tab opens a room and gets a short room code, the phone joins the room with
+ * that code and streams its tilt, which the display feeds into the game like any other input source.
+ *
+ *   - Display: 'createRemoteInput' is an input source (see js/input.js) that receives the tilt of the phone.
+ *   - Phone: 'createRemoteController' sends the tilt produced by the phone's own orientation source, i.e. already
+ *     calibrated, remapped to the screen orientation and smoothed.
+ *
+ * The relay is expected on the same host that serves the page, see server/relay.js for the protocol.
+ */
+
+// Path of the WebSocket endpoint of the relay
+const relayPath = "/relay";
+
+/**
+ * Determines the address of the relay, next to the page.
+ *
+ * @returns {string} The WebSocket URL of the relay.
+ */
+const relayUrl = () => {
+    return `${window.location.protocol === "https:" ? "wss" : "ws"}://${window.location.host}${relayPath}`;
+};
+
+/**
+ * Cleans up a room code as typed by the player or taken from a join link.
+ * Room codes only consist of capital letters and digits, so everything else is dropped.
+ *
+ * @param {string} code - The entered room code.
+ * @returns {string} The room code, empty if nothing valid was entered.
+ */
+const normalizeRoomCode = (code) => {
+    return String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+};
+
+/**
+ * Parses a message of the relay.
+ *
+ * @param {string} data - The received text.
+ * @returns {Object} The message, an empty object if it is not valid JSON.
+ */
+const parseRelayMessage = (data) => {
+    try {
+        return JSON.parse(data) || {};
+    } catch (error) {
+        return {};
+    }
+};
+
+/**
+ * Creates an input source that receives the tilt of a phone through the relay.
+ * Starting it opens a room. Unlike the other sources, it reports its state (room code, phone connected or not) to the
+ * optional 'onStatus' callback of 'start', as the player needs the room code to join.
+ *
+ * @returns {Object} The input source with 'start' and 'stop' methods.
+ */
+const createRemoteInput = () => {
+    let socket;
+
+    return {
+        start(onTilt, onStatus = () => {}) {
+            if (window.location.protocol === "file:" || typeof WebSocket === "undefined") {
+                onStatus("A phone can only be connected when the game is served by the relay. <p>Start it with <b>node server/relay.js</b>.</p>");
+                return;
+            }
+
+            const current = new WebSocket(relayUrl());
+            socket = current;
+            current.addEventListener("open", () => current.send(JSON.stringify({ type: "host" })));
+            current.addEventListener("message", (event) => {
+                const message = parseRelayMessage(event.data);
+                if (message.type === "room") {
+                    const joinUrl = `${window.location.origin}${window.location.pathname}?room=${message.code}`;
+                    onStatus(`Room code: <b>${message.code}</b> <p>Open ${joinUrl} on your phone, or enter the code there under "Join as controller".</p>`);
+                } else if (message.type === "controller") {
+                    // The board is leveled when the phone leaves, so the balls do not keep rolling
+                    onTilt({ gamma: 0, beta: 0 });
+                    onStatus(message.connected
+                        ? "Phone connected. <p>Tilt your phone to move the balls.</p>"
+                        : "The phone left the room. <p>Join again with the same room code.</p>");
+                } else if (message.type === "tilt" && Number.isFinite(message.gamma) && Number.isFinite(message.beta)) {
+                    onTilt({ gamma: message.gamma, beta: message.beta });
+                }
+            });
+            current.addEventListener("close", () => {
+                // Only report connections that were not closed on purpose
+                if (socket === current) {
+                    onStatus("The connection to the relay was lost. <p>Is <b>node server/relay.js</b> running?</p>");
+                }
+            });
+        },
+        stop() {
+            const current = socket;
+            socket = undefined;
+            if (current) current.close();
+        },
+    };
+};
+
+/**
+ * Connects the phone to the room of a display as its controller.
+ *
+ * @param {string} code - The room code shown on the display.
+ * @param {Object} callbacks - The callbacks informing the game.
+ * @param {Function} callbacks.onJoined - Called with the room code once the room was joined.
+ * @param {Function} callbacks.onClose - Called with a message (HTML) when the connection ends without 'close' being
+ *                                       called, e.g. when the code is wrong or the display left.
+ * @returns {Object} The controller with 'send(tilt)' and 'close()' methods.
+ */
+const createRemoteController = (code, { onJoined, onClose }) => {
+    const socket = new WebSocket(relayUrl());
+    let joined = false;
+    let closed = false;
+    let error;
+    let previous;
+
+    socket.addEventListener("open", () => socket.send(JSON.stringify({ type: "join", code })));
+    socket.addEventListener("message", (event) => {
+        const message = parseRelayMessage(event.data);
+        if (message.type === "joined") {
+            joined = true;
+            onJoined(message.code);
+        } else if (message.type === "error") {
+            error = message.message;
+            socket.close();
+        }
+    });
+    socket.addEventListener("close", () => {
+        if (closed) return;
+        closed = true;
+        onClose(error || (joined ? "The connection to the display was lost." : "The relay could not be reached."));
+    });
+
+    return {
+        send(tilt) {
+            if (!joined || closed) return;
+            // The display does not need more precision than a replay, see js/replay.js
+            const rounded = quantizeTilt(tilt);
+            if (previous && rounded.gamma === previous.gamma && rounded.beta === previous.beta) return;
+            previous = rounded;
+            socket.send(JSON.stringify({ type: "tilt", ...rounded }));
+        },
+        close() {
+            closed = true;
+            socket.close();
+        },
+    };
+};
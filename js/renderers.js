@@ -0,0 +1,440 @@
+/**
+ * MoCIoT Web App: Renderers
+ *
+ * This script draws the game state, as simulated by js/physics.js, onto the page. The game talks to every renderer
+ * through the same interface, so renderers can be swapped without touching the game logic:
+ *   - build(world, scale): Creates everything that does not change while playing (walls, goals, holes, materials) and
+ *     the balls.
+ *     'scale' is the number of CSS pixels per logical unit of the board (see js/physics.js), so the board can be drawn
+ *     at any size. The maze element is resized to the scaled board.
+ *   - render(world, tilt): Draws the balls and the moving walls at their current positions, doors and pressure plates
+ *     in their current state, and tilts the board. Without a tilt the board lies flat. Balls falling into a hole shrink
+ *     until they are gone.
+ *   - showRoute(route): Marks a route on the board, e.g. for a hint, until it is called without a route. The route has
+ *     'points' ({ x, y } in logical units) and the 'color' of the ball it is meant for.
+ *   - destroy(): Removes everything the renderer added to the page.
+ *
+ * Balls and goals with a color (see js/levels.js) are drawn in the CSS variable '--<color>-color', the others in
+ * '--ball-color' and '--end-color'. Routes are drawn in the color of their ball, or '--route-color'. Cells with a
+ * material (see js/physics.js) are drawn in '--<material>-color'.
+ *
+ * Available renderers:
+ *   - dom: Every wall and ball is an absolutely positioned element, the tilt is a CSS 3D transform of the maze. The
+ *     elements are placed in logical units on a board element that is scaled as a whole.
+ *   - canvas: Everything is drawn onto a single 2D canvas. The tilt is projected by the renderer itself, which avoids
+ *     the cost of moving many elements and compositing a 3D transform on low-end phones.
+ */
+
+// Distance of the viewer from the board in logical units, the game sets the CSS perspective accordingly
+const viewerDistance = 600;
+// Space around the board on the canvas in logical units, so the border walls and the tilted board are not cut off
+const canvasMargin = 40;
+// Diameter of the dots marking a route in logical units, the same as in css/styles.css
+const routeDotSize = 8;
+
+/**
+ * Resizes the maze element to the board drawn at the given scale.
+ *
+ * @param {HTMLElement} mazeElement - The maze element.
+ * @param {Object} world - The world state, for the size of the board.
+ * @param {number} scale - The number of CSS pixels per logical unit.
+ */
+const sizeMaze = (mazeElement, world, scale) => {
+    mazeElement.style.width = `${world.width * scale}px`;
+    mazeElement.style.height = `${world.height * scale}px`;
+};
+
+/**
+ * Gives an element of a ball or goal the color of the level, by overriding a CSS variable of the stylesheet.
+ * Without a color, the element keeps the default of the stylesheet.
+ *
+ * @param {HTMLElement} element - The element of the ball or goal.
+ * @param {string} variable - The CSS variable holding its color, e.g. "--ball-color".
+ * @param {string} [color] - The color of the ball or goal, see js/levels.js.
+ */
+const applyColor = (element, variable, color) => {
+    if (color) {
+        element.style.setProperty(variable, `var(--${color}-color)`);
+    }
+};
+
+/**
+ * Determines how far a ball has fallen into a hole.
+ *
+ * @param {Object} ball - The ball of the world state.
+ * @returns {number} 0 for a rolling ball, growing to 1 when the ball is gone.
+ */
+const fallProgress = (ball) => {
+    return ball.hole === undefined ? 0 : 1 - ball.falling / fallDuration;
+};
+
+/**
+ * Creates a renderer that draws the game with DOM elements.
+ *
+ * @param {HTMLElement} mazeElement - The maze element the walls and balls are placed in.
+ * @returns {Object} The renderer with 'build', 'render' and 'destroy' methods.
+ */
+const createDomRenderer = (mazeElement) => {
+    // Element all parts of the board are placed on, in logical units
+    const boardElement = document.createElement("div");
+    boardElement.setAttribute("class", "board");
+    let ballElements = [];
+    let wallElements = [];
+    let plateElements = [];
+
+    const removeElements = () => {
+        boardElement.querySelectorAll(".wall, .ball, .hole, .plate, .material, .end, .route")
+            .forEach((element) => element.remove());
+        ballElements = [];
+        wallElements = [];
+        plateElements = [];
+    };
+
+    return {
+        build(world, scale = 1) {
+            const { walls, goals, holes, plates, materials, balls, geometry } = world;
+
+            // Remove the walls, goals, holes, plates, materials and balls of the previous level
+            removeElements();
+
+            sizeMaze(mazeElement, world, scale);
+            boardElement.style.width = `${world.width}px`;
+            boardElement.style.height = `${world.height}px`;
+            boardElement.style.transform = `scale(${scale})`;
+            mazeElement.appendChild(boardElement);
+
+            // Draw the materials of the surface, below everything else
+            materials.forEach(({ x, y, size, material }) => {
+                const cell = document.createElement("div");
+                cell.setAttribute("class", `material ${material}`);
+                cell.style.left = `${x}px`;
+                cell.style.top = `${y}px`;
+                cell.style.width = `${size}px`;
+                cell.style.height = `${size}px`;
+
+                boardElement.appendChild(cell);
+            });
+
+            // Draw holes, before the balls so the balls roll over them
+            holes.forEach(({ x, y, radius }) => {
+                const hole = document.createElement("div");
+                hole.setAttribute("class", "hole");
+                hole.style.left = `${x - radius}px`;
+                hole.style.top = `${y - radius}px`;
+                hole.style.width = `${radius * 2}px`;
+                hole.style.height = `${radius * 2}px`;
+
+                boardElement.appendChild(hole);
+            });
+
+            // Draw pressure plates, also below the balls
+            plates.forEach(({ x, y, radius }) => {
+                const plate = document.createElement("div");
+                plate.setAttribute("class", "plate");
+                plate.style.left = `${x - radius}px`;
+                plate.style.top = `${y - radius}px`;
+                plate.style.width = `${radius * 2}px`;
+                plate.style.height = `${radius * 2}px`;
+
+                boardElement.appendChild(plate);
+                plateElements.push(plate);
+            });
+
+            // Draw the goal zones
+            goals.forEach(({ x, y, radius, color }) => {
+                const end = document.createElement("div");
+                end.setAttribute("class", "end");
+                end.style.left = `${x - radius}px`;
+                end.style.top = `${y - radius}px`;
+                end.style.width = `${radius * 2}px`;
+                end.style.height = `${radius * 2}px`;
+                applyColor(end, "--end-color", color);
+
+                boardElement.appendChild(end);
+            });
+
+            // Draw balls
+            balls.forEach(({ color }) => {
+                const ball = document.createElement("div");
+                ball.setAttribute("class", "ball");
+                applyColor(ball, "--ball-color", color);
+                // Centered on the position of the ball
+                ball.style.width = `${geometry.ballSize}px`;
+                ball.style.height = `${geometry.ballSize}px`;
+                ball.style.margin = `${-geometry.ballSize / 2}px 0 0 ${-geometry.ballSize / 2}px`;
+
+                boardElement.appendChild(ball);
+                ballElements.push(ball);
+            });
+
+            // Draw walls
+            walls.forEach(({ x, y, horizontal, length, path, plate }) => {
+                const wall = document.createElement("div");
+                wall.setAttribute("class", "wall");
+                wall.classList.toggle("moving", path !== undefined);
+                wall.classList.toggle("door", plate !== undefined);
+                wall.style.left = `${x}px`;
+                wall.style.top = `${y}px`;
+                wall.style.width = `${geometry.wallWidth}px`;
+                wall.style.height = `${length}px`;
+                wall.style.marginLeft = `${-geometry.wallWidth / 2}px`;
+                // In case it is a horizontal wall, rotate it
+                wall.style.transform = `rotate(${horizontal ? -90 : 0}deg)`;
+
+                boardElement.appendChild(wall);
+                wallElements.push(wall);
+            });
+        },
+        render(world, tilt) {
+            // Move balls to their position, balls falling into a hole shrink
+            world.balls.forEach((ball, index) => {
+                const progress = fallProgress(ball);
+                ballElements[index].style.left = `${ball.x}px`;
+                ballElements[index].style.top = `${ball.y}px`;
+                ballElements[index].style.transform = progress ? `scale(${1 - progress})` : "";
+            });
+
+            // Move the moving walls and open or close the doors
+            world.dynamicWalls.forEach((index) => {
+                const wall = world.walls[index];
+                wallElements[index].style.left = `${wall.x}px`;
+                wallElements[index].style.top = `${wall.y}px`;
+                wallElements[index].classList.toggle("open", Boolean(wall.open));
+            });
+            world.plates.forEach((plate, index) => {
+                plateElements[index].classList.toggle("pressed", plate.pressed);
+            });
+
+            // Apply rotation to the maze element
+            const rotationY = tilt ? tilt.gamma * rotationFactor : 0;
+            const rotationX = tilt ? tilt.beta * rotationFactor : 0;
+            mazeElement.style.transform = `rotateY(${rotationY}deg) rotateX(${-rotationX}deg)`;
+        },
+        showRoute(route) {
+            boardElement.querySelectorAll(".route").forEach((element) => element.remove());
+            if (!route) return;
+
+            // A dot on every cell of the route, below the balls
+            const firstBall = ballElements[0] || null;
+            route.points.forEach(({ x, y }) => {
+                const dot = document.createElement("div");
+                dot.setAttribute("class", "route");
+                dot.style.left = `${x}px`;
+                dot.style.top = `${y}px`;
+                applyColor(dot, "--route-color", route.color);
+
+                boardElement.insertBefore(dot, firstBall);
+            });
+        },
+        destroy() {
+            removeElements();
+            boardElement.remove();
+            mazeElement.style.transform = "";
+        },
+    };
+};
+
+/**
+ * Creates a renderer that draws the game onto a 2D canvas.
+ * The board is tilted by rotating every point in 3D, the same way the CSS transform 'rotateY() rotateX()' does, and
+ * projecting it back onto the canvas with the perspective of the viewer. Walls are drawn as projected quads, goals
+ * as dashed projected squares, and holes and balls as circles scaled by their distance to the viewer.
+ * The colors are read from the same CSS variables the DOM renderer uses.
+ *
+ * @param {HTMLElement} mazeElement - The maze element the canvas is placed in.
+ * @returns {Object} The renderer with 'build', 'render' and 'destroy' methods.
+ */
+const createCanvasRenderer = (mazeElement) => {
+    const canvas = document.createElement("canvas");
+    canvas.setAttribute("class", "maze-canvas");
+    const context = canvas.getContext("2d");
+    let colors;
+    // Route shown by 'showRoute', drawn on every frame until it is removed
+    let shownRoute;
+
+    /**
+     * Creates a function projecting points of the board onto the canvas for the given tilt.
+     *
+     * @param {Object} world - The world state, for the size of the board.
+     * @param {Object} [tilt] - The tilt of the board.
+     * @returns {Function} A function mapping a board point { x, y } to a canvas point { x, y, scale }.
+     */
+    const createProjection = (world, tilt) => {
+        const angleY = ((tilt ? tilt.gamma * rotationFactor : 0) / 180) * Math.PI;
+        const angleX = ((tilt ? -tilt.beta * rotationFactor : 0) / 180) * Math.PI;
+        const centerX = world.width / 2;
+        const centerY = world.height / 2;
+
+        return ({ x, y }) => {
+            // rotateX, then rotateY, around the center of the board
+            const rotatedY = (y - centerY) * Math.cos(angleX);
+            const depthX = (y - centerY) * Math.sin(angleX);
+            const rotatedX = (x - centerX) * Math.cos(angleY) + depthX * Math.sin(angleY);
+            const depth = -(x - centerX) * Math.sin(angleY) + depthX * Math.cos(angleY);
+
+            // Points closer to the viewer appear bigger
+            const scale = viewerDistance / (viewerDistance - depth);
+            return {
+                x: canvasMargin + centerX + rotatedX * scale,
+                y: canvasMargin + centerY + rotatedY * scale,
+                scale,
+            };
+        };
+    };
+
+    /**
+     * Draws a rectangle of the board as a projected quad.
+     *
+     * @param {Function} project - The projection of the current frame.
+     * @param {number} left - The left edge of the rectangle on the board.
+     * @param {number} top - The top edge of the rectangle on the board.
+     * @param {number} right - The right edge of the rectangle on the board.
+     * @param {number} bottom - The bottom edge of the rectangle on the board.
+     */
+    const traceRectangle = (project, left, top, right, bottom) => {
+        const corners = [
+            project({ x: left, y: top }),
+            project({ x: right, y: top }),
+            project({ x: right, y: bottom }),
+            project({ x: left, y: bottom }),
+        ];
+        context.beginPath();
+        context.moveTo(corners[0].x, corners[0].y);
+        corners.slice(1).forEach(({ x, y }) => context.lineTo(x, y));
+        context.closePath();
+    };
+
+    return {
+        build(world, scale = 1) {
+            const style = getComputedStyle(document.body);
+            colors = {
+                ball: style.getPropertyValue("--ball-color").trim() || "red",
+                wall: style.getPropertyValue("--wall-color").trim() || "black",
+                end: style.getPropertyValue("--end-color").trim() || "green",
+                hole: style.getPropertyValue("--hole-color").trim() || "#333",
+                route: style.getPropertyValue("--route-color").trim() || "#007bff",
+                movingWall: style.getPropertyValue("--moving-wall-color").trim() || "#555",
+                door: style.getPropertyValue("--door-color").trim() || "#8d6e63",
+                plate: style.getPropertyValue("--plate-color").trim() || "#bdbdbd",
+                platePressed: style.getPropertyValue("--plate-pressed-color").trim() || "#8d6e63",
+            };
+            Object.keys(surfaceMaterials).forEach((material) => {
+                colors[material] = style.getPropertyValue(`--${material}-color`).trim() || "#eee";
+            });
+            levelColors.forEach((color) => {
+                colors[color] = style.getPropertyValue(`--${color}-color`).trim() || color;
+            });
+            // A route belongs to the previous level
+            shownRoute = undefined;
+
+            // Drawn in logical units, sharp on high-density screens
+            const pixelRatio = (window.devicePixelRatio || 1) * scale;
+            const width = world.width + canvasMargin * 2;
+            const height = world.height + canvasMargin * 2;
+            sizeMaze(mazeElement, world, scale);
+            canvas.width = Math.round(width * pixelRatio);
+            canvas.height = Math.round(height * pixelRatio);
+            canvas.style.width = `${width * scale}px`;
+            canvas.style.height = `${height * scale}px`;
+            canvas.style.left = `${-canvasMargin * scale}px`;
+            canvas.style.top = `${-canvasMargin * scale}px`;
+            context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+
+            mazeElement.appendChild(canvas);
+        },
+        render(world, tilt) {
+            const { walls, goals, holes, plates, materials, balls, geometry: { wallWidth, ballSize } } = world;
+            const project = createProjection(world, tilt);
+
+            context.clearRect(0, 0, world.width + canvasMargin * 2, world.height + canvasMargin * 2);
+
+            // Materials of the surface
+            materials.forEach(({ x, y, size, material }) => {
+                traceRectangle(project, x, y, x + size, y + size);
+                context.fillStyle = colors[material];
+                context.fill();
+            });
+
+            // Goal zones
+            context.save();
+            context.setLineDash([8, 6]);
+            context.lineWidth = 4;
+            goals.forEach(({ x, y, radius, color }) => {
+                traceRectangle(project, x - radius, y - radius, x + radius, y + radius);
+                context.strokeStyle = colors[color] || colors.end;
+                context.stroke();
+            });
+            context.restore();
+
+            // Holes
+            context.fillStyle = colors.hole;
+            holes.forEach((hole) => {
+                const { x, y, scale } = project(hole);
+                context.beginPath();
+                context.arc(x, y, hole.radius * scale, 0, Math.PI * 2);
+                context.fill();
+            });
+
+            // Route, a dot on every cell, below the walls and balls
+            if (shownRoute) {
+                context.save();
+                context.globalAlpha = 0.6;
+                context.fillStyle = colors[shownRoute.color] || colors.route;
+                shownRoute.points.forEach((point) => {
+                    const { x, y, scale } = project(point);
+                    context.beginPath();
+                    context.arc(x, y, (routeDotSize / 2) * scale, 0, Math.PI * 2);
+                    context.fill();
+                });
+                context.restore();
+            }
+
+            // Pressure plates
+            plates.forEach(({ x, y, radius, pressed }) => {
+                traceRectangle(project, x - radius, y - radius, x + radius, y + radius);
+                context.fillStyle = pressed ? colors.platePressed : colors.plate;
+                context.fill();
+            });
+
+            // Walls, including the caps at both ends. Open doors leave a faint outline, as in the DOM renderer.
+            walls.forEach(({ x, y, horizontal, length, path, plate, open }) => {
+                context.fillStyle = plate !== undefined ? colors.door : path !== undefined ? colors.movingWall : colors.wall;
+                context.globalAlpha = open ? 0.15 : 1;
+                if (horizontal) {
+                    traceRectangle(project, x - wallWidth / 2, y - wallWidth / 2, x + length + wallWidth / 2, y + wallWidth / 2);
+                } else {
+                    traceRectangle(project, x - wallWidth / 2, y - wallWidth / 2, x + wallWidth / 2, y + length + wallWidth / 2);
+                }
+                context.fill();
+            });
+            context.globalAlpha = 1;
+
+            // Balls with a soft shadow, as in the DOM renderer
+            context.save();
+            context.shadowColor = "rgba(0, 0, 0, 0.3)";
+            context.shadowBlur = 5;
+            balls.forEach((ball) => {
+                const progress = fallProgress(ball);
+                if (progress >= 1) return;
+                const { x, y, scale } = project(ball);
+                context.fillStyle = colors[ball.color] || colors.ball;
+                context.beginPath();
+                context.arc(x, y, (ballSize / 2) * scale * (1 - progress), 0, Math.PI * 2);
+                context.fill();
+            });
+            context.restore();
+        },
+        showRoute(route) {
+            shownRoute = route;
+        },
+        destroy() {
+            canvas.remove();
+        },
+    };
+};
+
+// Factories of all renderers by the name used in the renderer selection
+const renderers = {
+    dom: createDomRenderer,
+    canvas: createCanvasRenderer,
+};
@@ -0,0 +1,220 @@
+/**
+ * MoCIoT Web App: Recording and Replay
+ *
+ * This script records the tilt input of a run and plays it back later. As the physics engine (js/physics.js) runs in
+ * fixed steps, a run is fully determined by the level, the simulation options and the tilt used in every step. The
+ * recorder therefore stores the tilt together with the step it was first used in, and the player feeds the same tilt
+ * into the same steps again, which reproduces the exact same ball paths, wall hits included.
+ *
+ * Tilt values are rounded to hundredths of a degree before they reach the simulation, in recordings as well as while
+ * playing live, so the files stay small without losing determinism. Sensor samples that arrive while the tilt does not
+ * change, or that are superseded before the next step runs, never affect the simulation and are not stored.
+ *
+ * Recording format (JSON):
+ *   {
+ *     "version": 1,
+ *     "level": { ... },                  The level in the level format, with walls (see js/levels.js).
+ *     "options": { "stickyBalls": false, "holeRule": "restart", "lives": 3, "profile": "marble" },
+ *     "timestep": 16,                    Duration of a step in milliseconds.
+ *     "steps": 1234,                     Number of steps until the run ended.
+ *     "samples": [0, 12.5, -3.25, 4, 13, -3.1, ...]
+ *   }
+ * 'samples' is a flat list of triples: the number of steps since the previous sample (i.e. the timestamp, delta
+ * encoded), gamma and beta in degrees.
+ */
+
+// Version of the recording format, increased whenever old recordings can no longer be replayed
+const recordingVersion = 1;
+// Tilt values are rounded to 1 / tiltPrecision degrees
+const tiltPrecision = 100;
+// Simulation options a recording may contain, see 'createWorld' (js/physics.js)
+const recordedOptions = ["stickyBalls", "holeRule", "lives", "profile", "physics"];
+// Highest number of lives that can be chosen for the hole rule "lives"
+const maxRecordedLives = 9;
+
+/**
+ * Rounds a tilt to the precision stored in recordings.
+ *
+ * @param {Object} [tilt] - The tilt with 'gamma' and 'beta' in degrees.
+ * @returns {Object|undefined} The rounded tilt, or undefined if there is no tilt.
+ */
+const quantizeTilt = (tilt) => {
+    if (!tilt) return undefined;
+    return {
+        gamma: Math.round(tilt.gamma * tiltPrecision) / tiltPrecision,
+        beta: Math.round(tilt.beta * tiltPrecision) / tiltPrecision,
+    };
+};
+
+/**
+ * Creates a recorder for a run.
+ * Its 'input' method is meant to be passed on to 'advance' (js/physics.js), wrapped in a function that hands over the
+ * current tilt. It records the tilt whenever it changes and returns it rounded, so the recorded run and the live run
+ * use exactly the same values.
+ *
+ * @param {Object} level - The level of the run, in the level format with walls.
+ * @param {Object} options - The simulation options of the run, as passed to 'createWorld'.
+ * @returns {Object} The recorder with 'input' and 'finish' methods.
+ */
+const createRecorder = (level, options) => {
+    const samples = [];
+    let previousStep = 0;
+    let previous;
+
+    return {
+        /**
+         * Records the tilt used for the next step of the world.
+         *
+         * @param {Object} world - The world state before the step.
+         * @param {Object} [tilt] - The current tilt.
+         * @returns {Object|undefined} The rounded tilt to use for the step.
+         */
+        input(world, tilt) {
+            const rounded = quantizeTilt(tilt);
+            if (rounded && (!previous || rounded.gamma !== previous.gamma || rounded.beta !== previous.beta)) {
+                samples.push(world.steps - previousStep, rounded.gamma, rounded.beta);
+                previousStep = world.steps;
+                previous = rounded;
+            }
+            return previous;
+        },
+        /**
+         * Completes the recording.
+         *
+         * @param {Object} world - The world state at the end of the run.
+         * @returns {Object} The recording, see the format at the top of this file.
+         */
+        finish(world) {
+            return {
+                version: recordingVersion,
+                level: {
+                    name: level.name,
+                    columns: level.columns,
+                    rows: level.rows,
+                    walls: level.walls,
+                    balls: level.balls,
+                    goals: level.goals,
+                    holes: level.holes,
+                    movingWalls: level.movingWalls,
+                    plates: level.plates,
+                    doors: level.doors,
+                    materials: level.materials,
+                },
+                options: { ...options },
+                timestep: fixedTimestep,
+                steps: world.steps,
+                samples: samples.slice(),
+            };
+        },
+    };
+};
+
+/**
+ * Checks the simulation options of a recording. Options that were added to the game later (everything apart from
+ * 'stickyBalls') may be missing, the game then uses their defaults.
+ *
+ * @param {Object} options - The options of the recording.
+ * @returns {Array} Descriptions of all problems found.
+ */
+const validateRecordedOptions = (options) => {
+    const errors = [];
+    const unknown = Object.keys(options).filter((key) => !recordedOptions.includes(key));
+    if (unknown.length) {
+        errors.push(`The options may only contain ${recordedOptions.join(", ")}.`);
+    }
+    if (typeof options.stickyBalls !== "boolean") {
+        errors.push("'stickyBalls' must be true or false.");
+    }
+    if (options.holeRule !== undefined && !["restart", "lives"].includes(options.holeRule)) {
+        errors.push("'holeRule' must be \"restart\" or \"lives\".");
+    }
+    if (options.lives !== undefined &&
+        !(Number.isInteger(options.lives) && options.lives >= 1 && options.lives <= maxRecordedLives)) {
+        errors.push(`'lives' must be an integer from 1 to ${maxRecordedLives}.`);
+    }
+    const profiles = Object.keys(physicsProfiles);
+    if (options.profile !== undefined && !profiles.includes(options.profile)) {
+        errors.push(`The physics profile must be one of ${profiles.join(", ")}.`);
+    }
+    // Physics tuned with the debug overlay (js/debug.js) replace values of the profile
+    const tunable = Object.keys(physicsProfiles[defaultPhysicsProfile]);
+    if (options.physics !== undefined && (typeof options.physics !== "object" || options.physics === null ||
+        !Object.entries(options.physics).every(([key, value]) => tunable.includes(key) && Number.isFinite(value)))) {
+        errors.push(`The physics may only change ${tunable.join(", ")}, to numbers.`);
+    }
+    return errors;
+};
+
+/**
+ * Checks a recording before it is replayed.
+ *
+ * @param {Object} recording - The parsed recording.
+ * @returns {Array} Descriptions of all problems found. An empty array means the recording can be replayed.
+ */
+const validateRecording = (recording) => {
+    if (typeof recording !== "object" || recording === null) {
+        return ["The recording must be a JSON object."];
+    }
+
+    const errors = [];
+    if (recording.version !== recordingVersion) {
+        errors.push(`Only recordings of version ${recordingVersion} can be replayed.`);
+    }
+    if (recording.timestep !== fixedTimestep) {
+        errors.push(`The recording uses steps of ${recording.timestep} ms instead of ${fixedTimestep} ms.`);
+    }
+    if (!Number.isInteger(recording.steps) || recording.steps < 0) {
+        errors.push("'steps' must be a non-negative integer.");
+    }
+    const { options, samples } = recording;
+    if (typeof options !== "object" || options === null || Array.isArray(options)) {
+        errors.push("'options' must be an object.");
+    } else {
+        errors.push(...validateRecordedOptions(options));
+    }
+    if (!Array.isArray(samples) || samples.length % 3 !== 0 || !samples.every(Number.isFinite)) {
+        errors.push("'samples' must be a list of number triples.");
+    }
+    return errors.concat(validateLevel(recording.level));
+};
+
+/**
+ * Creates a player that feeds the tilt of a recording into the simulation again.
+ * Its 'input' method is meant to be passed to 'advance' (js/physics.js) directly.
+ *
+ * @param {Object} recording - The recording, see the format at the top of this file.
+ * @returns {Object} The player with 'input' and 'isFinished' methods.
+ */
+const createPlayer = (recording) => {
+    const { samples, steps } = recording;
+    let index = 0;
+    let nextStep = samples.length ? samples[0] : Infinity;
+    let current;
+
+    return {
+        /**
+         * Returns the recorded tilt for the next step of the world.
+         *
+         * @param {Object} world - The world state before the step.
+         * @returns {Object|undefined} The tilt to use for the step.
+         */
+        input(world) {
+            while (index < samples.length && nextStep <= world.steps) {
+                current = { gamma: samples[index + 1], beta: samples[index + 2] };
+                index += 3;
+                nextStep += index < samples.length ? samples[index] : 0;
+            }
+            return current;
+        },
+        /**
+         * Checks whether the world has run as many steps as the recorded run.
+         *
+         * @param {Object} world - The world state.
+         * @returns {boolean} True if the recorded run is over.
+         */
+        isFinished(world) {
+            return world.steps >= steps;
+        },
+    };
+};
+
@@ -0,0 +1,160 @@
+/**
+ * MoCIoT Web App: Scoring and Leaderboard
+ *
+ * This script scores won runs and keeps a local leaderboard for every maze. The score rewards fast runs and punishes
+ * hard impacts on walls and asking for hints:
+ *   score = 10000 - 50 per second - 25 per wall hit - 500 per hint, but never below 0.
+ * Only impacts of a noticeable strength count as wall hits, so a ball resting against a wall is not punished.
+ *
+ * Leaderboards are stored in localStorage, one per maze. Generated mazes are identified by their seed and size,
+ * hand-made mazes by a hash of their layout, so the same maze shares one leaderboard no matter where it was loaded from.
+ */
+
+// localStorage key of all leaderboards
+const leaderboardStorageKey = "mazeGame.leaderboards";
+// localStorage key of the name of the player
+const playerNameStorageKey = "mazeGame.playerName";
+// Number of entries kept per leaderboard
+const leaderboardSize = 10;
+// Impacts with a smaller change of velocity (units per frame, see js/physics.js) are not counted as wall hits
+const minWallHitStrength = 0.1;
+
+const scoreRules = {
+    base: 10000,
+    perSecond: 50,
+    perWallHit: 25,
+    perHint: 500,
+};
+
+/**
+ * Calculates the score of a won run.
+ *
+ * @param {Object} run - The run.
+ * @param {number} run.time - The time the run took, in milliseconds.
+ * @param {number} run.wallHits - The number of wall hits during the run.
+ * @param {number} [run.hints=0] - The number of hints used during the run.
+ * @returns {number} The score, an integer of at least 0.
+ */
+const calculateScore = ({ time, wallHits, hints = 0 }) => {
+    const score = scoreRules.base - (time / 1000) * scoreRules.perSecond - wallHits * scoreRules.perWallHit
+        - hints * scoreRules.perHint;
+    return Math.max(0, Math.round(score));
+};
+
+/**
+ * Counts the events of a simulation step that are wall hits in the sense of the score.
+ *
+ * @param {Array} events - The events taken from the world state (js/physics.js).
+ * @returns {number} The number of wall hits.
+ */
+const countWallHits = (events) => {
+    return events.filter((event) => event.type === "wallHit" && event.strength >= minWallHitStrength).length;
+};
+
+/**
+ * Formats a duration as minutes, seconds and hundredths, e.g. "1:05.42".
+ *
+ * @param {number} time - The duration in milliseconds.
+ * @returns {string} The formatted duration.
+ */
+const formatTime = (time) => {
+    const minutes = Math.floor(time / 60000);
+    const seconds = ((time % 60000) / 1000).toFixed(2).padStart(5, "0");
+    return `${minutes}:${seconds}`;
+};
+
+/**
+ * Determines the key of the leaderboard of a level.
+ *
+ * @param {Object} level - The resolved level layout.
+ * @returns {string} The leaderboard key.
+ */
+const leaderboardKey = (level) => {
+    if (level.seed !== undefined) {
+        return `seed:${level.seed}:${level.columns}x${level.rows}`;
+    }
+    const { columns, rows, walls, balls, goals, holes, movingWalls, plates, doors, materials } = level;
+    // Levels with a single goal without a color are hashed like before there were several goals, keeping their entries
+    const goalLayout = goals.length === 1 && goals[0].color === undefined ? { goal: goals[0] } : { goals };
+    // The same goes for levels without moving walls, plates and doors, and for levels without materials
+    const mechanics = movingWalls.length || plates.length || doors.length ? { movingWalls, plates, doors } : {};
+    const surface = materials.length ? { materials } : {};
+    const layout = { columns, rows, walls, balls, ...goalLayout, holes, ...mechanics, ...surface };
+    return `layout:${hashSeed(JSON.stringify(layout))}`;
+};
+
+/**
+ * Reads all leaderboards from localStorage.
+ * A missing or broken entry, or unavailable storage (e.g. in private mode), results in no leaderboards.
+ *
+ * @returns {Object} The leaderboards by their key.
+ */
+const loadLeaderboards = () => {
+    try {
+        return JSON.parse(localStorage.getItem(leaderboardStorageKey)) || {};
+    } catch (error) {
+        return {};
+    }
+};
+
+/**
+ * Reads the leaderboard of a level.
+ *
+ * @param {Object} level - The resolved level layout.
+ * @returns {Array} The entries, best score first. Each entry has 'name', 'time', 'wallHits', 'hints', 'score' and
+ *                  'date'. Entries stored before there were hints have no 'hints'.
+ */
+const loadLeaderboard = (level) => {
+    return loadLeaderboards()[leaderboardKey(level)] || [];
+};
+
+/**
+ * Adds a won run to the leaderboard of a level.
+ * Entries are ranked by score, equal scores by time. Only the best entries are kept.
+ *
+ * @param {Object} level - The resolved level layout.
+ * @param {Object} entry - The run with 'name', 'time', 'wallHits', 'hints' and 'score'.
+ * @returns {number} The rank of the entry (0 is the best), or -1 if it did not make it onto the leaderboard.
+ */
+const addToLeaderboard = (level, entry) => {
+    const leaderboards = loadLeaderboards();
+    const key = leaderboardKey(level);
+    const stored = { ...entry, date: new Date().toISOString() };
+
+    const entries = (leaderboards[key] || []).concat(stored);
+    entries.sort((a, b) => b.score - a.score || a.time - b.time);
+    leaderboards[key] = entries.slice(0, leaderboardSize);
+
+    try {
+        localStorage.setItem(leaderboardStorageKey, JSON.stringify(leaderboards));
+    } catch (error) {
+        console.error(error);
+    }
+    return leaderboards[key].indexOf(stored);
+};
+
+/**
+ * Reads the name the player entered last time.
+ *
+ * @returns {string} The player name, empty if none was stored.
+ */
+const loadPlayerName = () => {
+    try {
+        return localStorage.getItem(playerNameStorageKey) || "";
+    } catch (error) {
+        return "";
+    }
+};
+
+/**
+ * Stores the name of the player for the next visit.
+ *
+ * @param {string} name - The player name.
+ */
+const savePlayerName = (name) => {
+    try {
+        localStorage.setItem(playerNameStorageKey, name);
+    } catch (error) {
+        console.error(error);
+    }
+};
@@ -6,378 +6,559 @@
  * the rendering of the maze, ball movement based on device orientation, collision detection with maze walls, and game state management.
  * 
  * Key Features:
- *   - Device orientation detection to control ball movement.
- *   - Collision detection with walls.
- *   - Game state management for start, reset, and win conditions.
+ *   - Device orientation detection to control ball movement, with keyboard, mouse-drag and gamepad input as alternatives.
+ *   - Calibration, smoothing and a dead zone for the motion sensors, which also work in landscape mode.
+ *   - A phone can control the game shown on another screen, connected through a room code (js/remote.js).
+ *   - A pack of levels with increasing difficulty, with unlock progress kept across reloads.
+ *   - Reproducible, randomly generated mazes based on a seed, in any number of columns and rows.
+ *   - A board that scales to fill the screen, while the simulation runs in logical units independent of its size.
+ *   - Interchangeable renderers: DOM elements with a CSS 3D tilt, or a canvas that projects the tilt itself.
+ *   - The game itself can be embedded into other pages, any number of times (js/game.js), with events for its progress.
+ *   - Deterministic recording and replay of runs.
+ *   - Challenge links that carry a maze and an optional time to beat in the URL, checked to be solvable when opened.
+ *   - A timer, a score based on time and wall hits, and a local leaderboard for every maze.
+ *   - A visual level editor with playtesting and import/export of level files.
+ *   - Collision detection with walls and between balls, with an optional sticky mode where touching balls merge.
+ *   - Holes that swallow balls, either sending them back to their start or costing a life.
+ *   - Puzzle levels with colored balls that each have to reach the goal of their color.
+ *   - Walls that move on a schedule, and doors that open while a ball rests on their pressure plate.
+ *   - Physics profiles for balls of marble, steel or ice, and cells of ice, sand or bumpers with their own grip and bounce.
+ *   - A few hints per run, which briefly show the route of the ball farthest from its goal at a cost to the score.
+ *   - Sound and vibration on impacts, when a ball enters the goal and on a win, which can be turned off.
+ *   - A debug overlay showing the collision shapes, velocities and tilt, with pausing, stepping and physics sliders.
+ *   - Installable to the home screen and playable offline, with a prompt when a new version is available.
+ *   - Game state management for start, reset, win and failure conditions, with a countdown before the game starts or
+ *     resumes, and a pause whenever the page is in the background.
  * 
  * Dependencies:
  *   - Assumes the presence of an HTML structure with specific IDs for the maze and UI elements.
  *   - Relies on external CSS for styling of the maze, walls, and balls.
+ *   - Relies on js/game.js for the game on the board, which runs js/physics.js for the simulation (js/benchmark.js measures its collision detection), js/renderers.js for drawing it and js/replay.js for recordings, and on js/scores.js for scores and leaderboards, js/challenge.js for challenge links, js/feedback.js for sound and vibration, js/levels.js and js/generator.js for the maze layout, js/solver.js for the routes of hints, js/editor.js for the level editor, js/debug.js for the debug overlay, js/input.js for the input sources that produce the tilt of the maze, js/remote.js for connecting a phone as the controller and js/offline.js for the service worker.
  *   - Uses modern JavaScript ES6 features and may require a polyfill for compatibility with older browsers.
  * 
  * Assumptions:
- *   - The device has hardware support for orientation detection.
- *   - The browser has permission to access the device's orientation sensors.
+ *   - The device has hardware support for orientation detection, or a keyboard, mouse or gamepad is available.
+ *   - The browser has permission to access the device's orientation sensors when they are used.
  */
 
-const mazeElement = document.getElementById("maze");
+// Element the game is placed in, see js/game.js
+const boardElement = document.getElementById("board");
 // Note element for instructions and game won, game failed texts
 const noteElement = document.getElementById("note");
+// Selection of the input source that tilts the maze
+const inputSelectElement = document.getElementById("input-source");
+// Settings of the motion sensors, only shown while they control the maze
+const sensorContainerElement = document.getElementById("sensor-container");
+const smoothingInputElement = document.getElementById("smoothing");
+const deadZoneInputElement = document.getElementById("dead-zone");
+// Room code of another screen, to join it as its controller
+const roomCodeInputElement = document.getElementById("room-code");
+// Seed of the maze, can be shared so that other players get the same maze
+const seedInputElement = document.getElementById("seed");
+// Number of columns and rows of random mazes, e.g. "10x10"
+const mazeSizeSelectElement = document.getElementById("maze-size");
+// Selection of the level of the level pack
+const levelSelectElement = document.getElementById("level");
+// Button pausing and resuming the game
+const pauseButtonElement = document.getElementById("pause");
+// Button switching between playing and editing the level
+const editButtonElement = document.getElementById("edit");
+// Option making balls that touch stick together
+const stickyInputElement = document.getElementById("sticky");
+// Options turning sound and vibration on and off
+const soundInputElement = document.getElementById("sound");
+const vibrationInputElement = document.getElementById("vibration");
+// Rule for balls falling into a hole, and the number of lives for the rule "lives"
+const holeRuleSelectElement = document.getElementById("hole-rule");
+const livesInputElement = document.getElementById("lives");
+// Selection of the physics profile, i.e. how the balls roll and bounce
+const profileSelectElement = document.getElementById("profile");
+// Selection of the renderer drawing the game
+const rendererSelectElement = document.getElementById("renderer");
+// Checkbox showing the debug overlay, see js/debug.js
+const debugInputElement = document.getElementById("debug");
+// File selection for loading replays
+const replayFileElement = document.getElementById("replay-file");
+// Checkbox adding the time of the last win to shared links
+const shareTimeInputElement = document.getElementById("share-time");
+// Elapsed time and wall hits of the current run
+const timerElement = document.getElementById("timer");
+const wallHitsElement = document.getElementById("wall-hits");
+const livesLeftElement = document.getElementById("lives-left");
+// Button showing the route of a ball, with the number of hints left in the current run
+const hintButtonElement = document.getElementById("hint");
+// Name the runs are entered into the leaderboard with
+const playerNameElement = document.getElementById("player-name");
+// Leaderboard of a maze, shown after a win or on request
+const leaderboardElement = document.getElementById("leaderboard");
+
+// Input source currently controlling the tilt of the maze
+let activeInput;
+// Connection to the screen this device controls, only set while it is used as a controller, see js/remote.js
+let remoteController;
+
+// Recording of the last won run, see js/replay.js
+let lastRecording;
+// Number of hints used during the current run
+let hintsUsed = 0;
+// Pending removal of the route of the last hint
+let hintTimeout;
+// Level whose leaderboard is shown
+let leaderboardLevel;
+// Values of the physics profile changed with the debug overlay, undefined while the profile is used as it is
+let physicsChanges;
+// Whether the current run was paused, stepped or tuned with the debug overlay, such runs are not ranked. Pausing with
+// the 'Pause' button or in the background is fine, the game counts down before it continues.
+let debugged = false;
+// Whether the physics were tuned during the current run, so its recording would not replay the same way
+let tunedWhilePlaying = false;
+
+// All levels of the level pack, in order of increasing difficulty
+let levelPack = [];
+// Level currently played, in grid coordinates
+let currentLevel;
+// Index of the current level in the level pack, undefined for random mazes
+let currentPackIndex;
+// Pending switch to the next level after a win
+let nextLevelTimeout;
+// Last level rendered by the level editor, to continue editing it after a playtest
+let editedLevel;
+// Challenge { level, targetTime } when the current level was opened from or shared as a link, see js/challenge.js
+let challenge;
+// Level and time of the last won run that was ranked, offered as the target time of a shared link
+let lastWin;
+
+// Number of hints a player can ask for in one run
+const hintsPerRun = 3;
+// Time the route of a hint is shown, in milliseconds
+const hintDuration = 3000;
+
+/* GAME */
+
+// The game on the board, see js/game.js. The board fills the window, and the simulation options are read from the
+// controls whenever a new game begins.
+const game = createMazeGame(boardElement, {
+    worldOptions,
+    availableSize: () => ({ width: window.innerWidth, height: window.innerHeight }),
+});
+game.on("build", () => debugOverlay.build(game.world, game.scale));
+game.on("reset", () => debugOverlay.build(game.world, game.scale));
+game.on("ballFell", showFall);
+game.on("frame", ({ elapsed, steps, tilt, events }) => {
+    updateStats();
+    debugOverlay.update(game.world, {
+        tilt,
+        rawTilt: activeInput && activeInput.rawTilt && activeInput.rawTilt(),
+        elapsed,
+        steps,
+        events,
+    });
+});
+game.on("stateChange", ({ state }) => {
+    pauseButtonElement.textContent = state === "paused" ? "Resume" : "Pause";
+    debugOverlay.setPaused(state === "paused");
+});
+game.on("pause", showPause);
+game.on("resume", () => {
+    noteElement.innerHTML = "Get ready!";
+    noteElement.style.opacity = 0.5;
+});
+game.on("win", winLevel);
+game.on("fail", failLevel);
+game.on("replayDiverged", () => {
+    noteElement.innerHTML = "The replay did not end like the recorded run. <p>The recording may be from another version of the game.</p>";
+    noteElement.style.opacity = 1;
+});
 
-let previousTimestamp;
-let gameInProgress;
-let accelerationX;
-let accelerationY;
-let frictionX;
-let frictionY;
+/**
+ * Builds the maze from a level, replacing the walls, balls and goal of the previous one.
+ * The level is given in grid coordinates, the game (js/game.js) converts walls, ball start cells and the goal
+ * to logical units for rendering and collision detection and draws them scaled to the screen. Afterwards the game
+ * is reset, so the balls are placed on their start cells.
+ * 
+ * A challenge link in the URL only stays while its level is played.
+ * 
+ * @param {Object} level - The resolved level layout, as returned by 'resolveLevel'.
+ * @param {number} [packIndex] - The index of the level in the level pack, undefined for levels outside of the pack.
+ */
+function buildLevel(level, packIndex) {
+    currentLevel = level;
+    currentPackIndex = packIndex;
+    if (challenge && challenge.level !== level) {
+        challenge = undefined;
+    }
+    if (!challenge && isChallengeHash(window.location.hash)) {
+        setChallengeHash();
+    }
+    seedInputElement.value = level.seed || "";
+    if (level.seed !== undefined) {
+        mazeSizeSelectElement.value = `${level.columns}x${level.rows}`;
+    }
 
-const pathWidth = 30;
-const wallWidth = 10;
-const ballSize = 10; // Width and height of the ball
+    game.loadLevel(level);
+    resetGame();
+    updateLevelSelection();
+}
 
-let balls = [];
-let ballElements = [];
+/**
+ * Starts a level of the level pack.
+ * 
+ * @param {number} index - The index of the level in the level pack.
+ */
+function startPackLevel(index) {
+    buildLevel(levelPack[index], index);
+}
 
-// Reset game at the beginning
-resetGame();
+/**
+ * Starts a random maze outside of the level pack, in the size chosen in the size selection.
+ * 
+ * @param {string} seed - The seed of the maze. The same seed and size always result in the same maze.
+ */
+function startRandomMaze(seed) {
+    const [columns, rows] = (mazeSizeSelectElement.value || "10x10").split("x").map(Number);
+    buildLevel(resolveLevel(randomLevel(seed, columns, rows)));
+}
 
 /**
- * Defines a Math.minmax function that clamps a value within a symmetric range around zero.
- * This function ensures that the given value does not exceed the specified limit or its negative.
- *
- * @param {number} value - The value to be clamped.
- * @param {number} limit - The upper and lower symmetric limit for the clamping.
- * @returns {number} The clamped value, which is within the range [-limit, limit].
+ * Fills the level selection with the levels of the level pack.
+ * Levels that are not unlocked yet are shown, but cannot be selected.
  */
-Math.minmax = (value, limit) => {
-    return Math.max(Math.min(value, limit), -limit);
-};
+function updateLevelSelection() {
+    const unlockedLevels = loadProgress();
+
+    levelSelectElement.querySelectorAll("option[data-pack]").forEach((option) => option.remove());
+    levelPack.forEach((level, index) => {
+        const option = document.createElement("option");
+        option.value = String(index);
+        option.dataset.pack = "";
+        option.textContent = `${index + 1}. ${level.name}${index < unlockedLevels ? "" : " (locked)"}`;
+        option.disabled = index >= unlockedLevels;
+        levelSelectElement.insertBefore(option, levelSelectElement.querySelector('option[value="random"]'));
+    });
+    if (currentPackIndex !== undefined) {
+        levelSelectElement.value = String(currentPackIndex);
+    } else {
+        levelSelectElement.value = currentLevel && currentLevel.seed ? "random" : "custom";
+    }
+}
 
 /**
- * Calculates the Euclidean distance between two points in 2D space.
- * 
- * @param {Object} p1 - The first point with properties x and y.
- * @param {Object} p2 - The second point with properties x and y.
- * @returns {number} The Euclidean distance between point p1 and p2.
+ * Loads the level pack and starts the last unlocked level.
+ * If the levels cannot be loaded (e.g. when the page is opened from the file system), a random maze is
+ * started instead, so the game stays playable.
  */
-const distance2D = (p1, p2) => {
-    return Math.sqrt((p2.x - p1.x) ** 2 + (p2.y - p1.y) ** 2);
-};
+async function initLevels() {
+    // Building the first level removes the challenge link from the URL
+    const { hash } = window.location;
+    try {
+        levelPack = await loadLevelPack();
+        updateLevelSelection();
+        startPackLevel(Math.min(loadProgress(), levelPack.length) - 1);
+    } catch (error) {
+        console.error(error);
+        startRandomMaze(randomSeed());
+        noteElement.innerHTML = "The levels could not be loaded, so you are playing a random maze.";
+    }
+    if (isChallengeHash(hash)) {
+        openChallenge(hash);
+    }
+}
+
+/* CHALLENGE LINKS */
 
 /**
- * Calculates the angle between two points in a 2D space.
- * This function computes the angle in radians between a line connecting two points (p1, p2) and the x-axis.
- * The angle is calculated using the arctangent of the slope of the line.
- * Adjustments are made to ensure the correct angle is returned when the second point lies to the left of the first point.
+ * Replaces the hash of the URL without adding an entry to the history of the browser.
  * 
- * @param {Object} p1 - The first point, with properties 'x' and 'y'.
- * @param {Object} p2 - The second point, with properties 'x' and 'y'.
- * @returns {number} The angle in radians between the line connecting p1 and p2 and the x-axis.
+ * @param {string} [hash=""] - The new hash including the '#', by default the hash is removed.
  */
-const getAngle = (p1, p2) => {
-    let angle = Math.atan((p2.y - p1.y) / (p2.x - p1.x));
-    if (p2.x - p1.x < 0) angle += Math.PI;
-    return angle;
-};
+function setChallengeHash(hash = "") {
+    const { pathname, search } = window.location;
+    window.history.replaceState(null, "", `${pathname}${search}${hash}`);
+}
 
 /**
- * Calculates the closest point a ball can be to a wall cap within the maze.
- * This function determines the nearest position a ball can occupy relative to a wall cap without overlapping it,
- * based on their respective sizes and the angle between them. The calculation involves finding the point on the 
- * perimeter of an imaginary circle around the wall cap, which represents the closest approach of the ball's center.
+ * Opens the maze of a challenge link. A link that cannot be opened leaves the current level on the board and the
+ * problem is explained in the note.
  * 
- * @param {Object} cap - The wall cap, with properties 'x' and 'y' representing its coordinates.
- * @param {Object} ball - The ball, with properties 'x' and 'y' representing its current coordinates.
- * @returns {Object} An object containing the 'x' and 'y' coordinates of the closest point the ball can be to the wall cap.
+ * @param {string} hash - The hash of the URL, see js/challenge.js.
  */
-const closestItCanBe = (cap, ball) => {
-    let angle = getAngle(cap, ball);
-
-    const deltaX = Math.cos(angle) * (wallWidth / 2 + ballSize / 2);
-    const deltaY = Math.sin(angle) * (wallWidth / 2 + ballSize / 2);
+function openChallenge(hash) {
+    let opened;
+    try {
+        opened = decodeChallenge(hash);
+    } catch (error) {
+        setChallengeHash();
+        noteElement.innerHTML = `The challenge link could not be opened. <p>${error.message}</p>`;
+        noteElement.style.opacity = 1;
+        return;
+    }
 
-    return { x: cap.x + deltaX, y: cap.y + deltaY };
-};
+    if (levelEditor.isOpen()) {
+        closeEditor();
+    }
+    challenge = opened;
+    buildLevel(opened.level);
+    setChallengeHash(hash);
+}
 
 /**
- * Determines the new position and velocity of a ball as it rolls around a wall cap.
- * This function is used to simulate the rolling motion of a ball when it comes into contact with the end cap of a wall.
- * It calculates the ball's new position and adjusted velocity based on its collision with the cap. 
- * The calculations take into account the direction of the ball's impact, its intended heading, and the resulting angle 
- * of deflection. The function also considers the velocity magnitude and how it is affected by the impact.
- * 
- * @param {Object} cap - The wall cap, with properties 'x' and 'y' representing its coordinates.
- * @param {Object} ball - The ball, with properties 'x', 'y', 'velocityX', and 'velocityY'.
- * @returns {Object} An object containing the new position ('x', 'y') and velocity ('velocityX', 'velocityY') of the ball,
- *                   as well as the next anticipated position ('nextX', 'nextY').
- */
-const rollAroundCap = (cap, ball) => {
-    // The direction the ball can't move any further because the wall holds it back
-    let impactAngle = getAngle(ball, cap);
-
-    // The direction the ball wants to move based on it's velocity
-    let heading = getAngle(
-        { x: 0, y: 0 },
-        { x: ball.velocityX, y: ball.velocityY }
-    );
-
-    /*
-    The angle between the impact direction and the ball's desired direction.
-    The smaller this angle is, the bigger the impact.
-    The closer it is to 90 degrees the smoother it gets (at 90 there would be no collision).
-    */
-    let impactHeadingAngle = impactAngle - heading;
-
-    // Velocity distance if not hit would have occurred
-    const velocityMagnitude = distance2D(
-        { x: 0, y: 0 },
-        { x: ball.velocityX, y: ball.velocityY }
-    );
-
-    // Velocity component diagonal to the impact
-    const velocityMagnitudeDiagonalToTheImpact =
-        Math.sin(impactHeadingAngle) * velocityMagnitude;
-
-    // How far should the ball be from the wall cap
-    const closestDistance = wallWidth / 2 + ballSize / 2;
-
-    const rotationAngle = Math.atan(
-        velocityMagnitudeDiagonalToTheImpact / closestDistance
-    );
-
-    const deltaFromCap = {
-        x: Math.cos(impactAngle + Math.PI - rotationAngle) * closestDistance,
-        y: Math.sin(impactAngle + Math.PI - rotationAngle) * closestDistance
+ * Shares a maze as a challenge link, which replaces the URL of the page and is copied to the clipboard where the
+ * browser allows it. With the time of the player, the link is made for the maze of the last won run, as the level pack
+ * moves on to the next level right after a win.
+ */
+function shareLevel() {
+    const withTime = shareTimeInputElement.checked;
+    noteElement.style.opacity = 1;
+    if (withTime && !lastWin) {
+        noteElement.innerHTML = "Win a level first, then it can be shared with your time.";
+        return;
+    }
+
+    const level = withTime ? lastWin.level : currentLevel;
+    const targetTime = withTime ? lastWin.time : undefined;
+    // Stay on the level, so the link keeps showing
+    clearTimeout(nextLevelTimeout);
+    challenge = { level, targetTime };
+    if (level !== currentLevel) {
+        const packIndex = levelPack.indexOf(level);
+        buildLevel(level, packIndex === -1 ? undefined : packIndex);
+    }
+    setChallengeHash(encodeChallenge(level, targetTime));
+
+    const link = window.location.href;
+    const challengeText = targetTime === undefined ? "<q></q>" : `<q></q> in ${formatTime(targetTime)}`;
+    const showLink = (message) => {
+        noteElement.innerHTML = `${message} <p><a href="${link}">${link}</a></p>`;
+        // Names of levels opened from links are chosen by other players, so they are never parsed as HTML
+        noteElement.querySelector("q").textContent = level.name;
     };
+    showLink(`Send this link to challenge others to ${challengeText}:`);
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(link).then(
+            () => showLink(`The link to ${challengeText} was copied.`),
+            // The link is still shown in the note
+            () => undefined,
+        );
+    }
+}
 
-    const x = ball.x;
-    const y = ball.y;
-    const velocityX = ball.x - (cap.x + deltaFromCap.x);
-    const velocityY = ball.y - (cap.y + deltaFromCap.y);
-    const nextX = x + velocityX;
-    const nextY = y + velocityY;
+/* LEVEL EDITOR */
+
+const levelEditor = createLevelEditor({
+    mazeElement: game.element,
+    panelElement: document.getElementById("editor-panel"),
+    // Every change is rendered right away, using the same code path as playing the level
+    onChange: (level) => {
+        buildLevel(resolveLevel(level));
+        editedLevel = currentLevel;
+    },
+    onPlaytest: () => {
+        closeEditor();
+        startGame();
+    },
+    onMessage: (message) => {
+        noteElement.innerHTML = message;
+        noteElement.style.opacity = 1;
+    },
+});
 
-    return { x, y, velocityX, velocityY, nextX, nextY };
-};
+/**
+ * Switches to the editor mode.
+ * The game is stopped and the input source is paused, so the board lies flat and does not move while editing.
+ * After a playtest the editor continues with the level it was editing, otherwise it starts from the current level.
+ */
+function openEditor() {
+    if (activeInput) {
+        activeInput.stop();
+        activeInput = undefined;
+    }
+    debugInputElement.checked = false;
+    toggleDebugOverlay(false);
+    resetGame();
+
+    document.getElementById("game-container").classList.add("editing");
+    editButtonElement.textContent = "Done";
+    levelEditor.open(currentLevel === editedLevel ? undefined : currentLevel);
+    noteElement.innerHTML = "Click between two cells to toggle a wall. Drag balls, holes and the goal to move them.";
+}
 
 /**
- * Reduces the absolute value of a number while preserving its sign, without going below zero.
- * This function is used to gradually decrease a numeric value (such as velocity) over time, simulating a slowing effect.
- * It decreases the number by a specified 'difference' value, but ensures that the number does not cross zero and flip sign.
- * The function is particularly useful in scenarios where a gradual deceleration or fade-out effect is required.
- * 
- * @param {number} number - The original number to be slowed down.
- * @param {number} difference - The amount by which the number should be reduced.
- * @returns {number} The slowed down value of the original number.
- */
-const slow = (number, difference) => {
-    if (Math.abs(number) <= difference) return 0;
-    if (number > difference) return number - difference;
-    return number + difference;
-};
-
-/* LAYOUT */
-
-// Draw balls at the beginning
-balls.forEach(({ x, y }) => {
-    const ball = document.createElement("div");
-    ball.setAttribute("class", "ball");
-    ball.style.left = `${x}px`;
-    ball.style.top = `${y}px`;
-
-    mazeElement.appendChild(ball);
-    ballElements.push(ball);
-});
+ * Leaves the editor mode, the edited level stays on the board and can be played.
+ */
+function closeEditor() {
+    levelEditor.close();
+    document.getElementById("game-container").classList.remove("editing");
+    editButtonElement.textContent = "Edit level";
+    selectInputSource(inputSelectElement.value);
+    resetGame();
+}
 
-// Wall configurations for the maze layout
-const walls = [
-    // Border
-    { column: 0, row: 0, horizontal: true, length: 10 },
-    { column: 0, row: 0, horizontal: false, length: 10 },
-    { column: 0, row: 10, horizontal: true, length: 10 },
-    { column: 10, row: 0, horizontal: false, length: 10 },
-
-    // Horizontal lines in 1st column
-    { column: 0, row: 1, horizontal: true, length: 1 },
-    { column: 0, row: 2, horizontal: true, length: 1 },
-    { column: 0, row: 7, horizontal: true, length: 1 },
-
-    // Horizontal lines in 2nd column
-    { column: 1, row: 1, horizontal: true, length: 1 },
-    { column: 1, row: 2, horizontal: true, length: 1 },
-    { column: 1, row: 6, horizontal: true, length: 1 },
-    { column: 1, row: 9, horizontal: true, length: 1 },
-
-    // Horizontal lines in 3rd column
-    { column: 2, row: 1, horizontal: true, length: 1 },
-    { column: 2, row: 4, horizontal: true, length: 1 },
-    { column: 2, row: 6, horizontal: true, length: 1 },
-    { column: 2, row: 9, horizontal: true, length: 1 },
-
-    // Horizontal lines in 4th column
-    { column: 3, row: 3, horizontal: true, length: 1 },
-    { column: 3, row: 7, horizontal: true, length: 1 },
-    { column: 3, row: 9, horizontal: true, length: 1 },
-
-    // Horizontal lines in 5th column
-    { column: 4, row: 3, horizontal: true, length: 1 },
-    { column: 4, row: 8, horizontal: true, length: 1 },
-
-    // Horizontal lines in 6st column
-    { column: 5, row: 2, horizontal: true, length: 1 },
-    { column: 5, row: 7, horizontal: true, length: 1 },
-
-    // Horizontal lines in 7th column
-    { column: 6, row: 1, horizontal: true, length: 1 },
-    { column: 6, row: 2, horizontal: true, length: 1 },
-    { column: 6, row: 6, horizontal: true, length: 1 },
-
-    // Horizontal lines in 8th column
-    { column: 7, row: 3, horizontal: true, length: 1 },
-    { column: 7, row: 6, horizontal: true, length: 1 },
-    { column: 7, row: 7, horizontal: true, length: 1 },
-
-    // Horizontal lines in 9th column
-    { column: 8, row: 1, horizontal: true, length: 1 },
-    { column: 8, row: 4, horizontal: true, length: 1 },
-    { column: 8, row: 7, horizontal: true, length: 1 },
-
-    // Horizontal lines in 10th column
-    { column: 9, row: 4, horizontal: true, length: 1 },
-    { column: 9, row: 9, horizontal: true, length: 1 },
-
-    // Vertical lines in 1st row
-    { column: 5, row: 0, horizontal: false, length: 1 },
-    { column: 8, row: 0, horizontal: false, length: 1 },
-
-    // Vertical lines in 2nd row
-    { column: 3, row: 1, horizontal: false, length: 1 },
-    { column: 5, row: 1, horizontal: false, length: 1 },
-    { column: 7, row: 1, horizontal: false, length: 1 },
-    { column: 9, row: 1, horizontal: false, length: 1 },
-
-    // Vertical lines in 3rd row
-    { column: 3, row: 2, horizontal: false, length: 1 },
-    { column: 7, row: 2, horizontal: false, length: 1 },
-
-    // Vertical lines in 4th row
-    { column: 2, row: 3, horizontal: false, length: 1 },
-    { column: 3, row: 3, horizontal: false, length: 1 },
-    { column: 7, row: 3, horizontal: false, length: 1 },
-    { column: 9, row: 3, horizontal: false, length: 1 },
-
-    // Vertical lines in 5th row
-    { column: 4, row: 4, horizontal: false, length: 1 },
-    { column: 8, row: 4, horizontal: false, length: 1 },
-
-    // Vertical lines in 6st row
-    { column: 1, row: 5, horizontal: false, length: 1 },
-    { column: 8, row: 5, horizontal: false, length: 1 },
-    { column: 9, row: 5, horizontal: false, length: 1 },
-
-    // Vertical lines in 7th row
-    { column: 1, row: 6, horizontal: false, length: 1 },
-    { column: 3, row: 6, horizontal: false, length: 1 },
-    { column: 5, row: 6, horizontal: false, length: 1 },
-    { column: 6, row: 6, horizontal: false, length: 1 },
-    { column: 9, row: 6, horizontal: false, length: 1 },
-
-    // Vertical lines in 8th row
-    { column: 7, row: 7, horizontal: false, length: 1 },
-
-    // Vertical lines in 9th row
-    { column: 1, row: 8, horizontal: false, length: 1 },
-    { column: 4, row: 8, horizontal: false, length: 1 },
-    { column: 5, row: 8, horizontal: false, length: 1 },
-    { column: 7, row: 8, horizontal: false, length: 1 },
-    { column: 8, row: 8, horizontal: false, length: 1 },
-
-    // Vertical lines in 10th row
-    { column: 8, row: 9, horizontal: false, length: 1 },
-].map((wall) => ({
-    x: wall.column * (pathWidth + wallWidth),
-    y: wall.row * (pathWidth + wallWidth),
-    horizontal: wall.horizontal,
-    length: wall.length * (pathWidth + wallWidth),
-}));
-
-// Draw walls
-walls.forEach(({ x, y, horizontal, length }) => {
-    const wall = document.createElement("div");
-    wall.setAttribute("class", "wall");
-    wall.style.left = `${x}px`;
-    wall.style.top = `${y}px`;
-    wall.style.width = `${wallWidth}px`;
-    wall.style.height = `${length}px`;
-    // In case it is a horizontal wall, rotate it
-    wall.style.transform = `rotate(${horizontal ? -90 : 0}deg)`;
-
-    mazeElement.appendChild(wall);
+/* DEBUG OVERLAY */
+
+const debugOverlay = createDebugOverlay({
+    mazeElement: game.element,
+    panelElement: document.getElementById("debug-panel"),
+    // Only a running game can be paused, so the overlay shows whether the game actually is
+    onPause: (paused) => {
+        if (paused) {
+            game.pause();
+            debugged = debugged || game.isPaused();
+        } else {
+            game.resume();
+        }
+        debugOverlay.setPaused(game.isPaused());
+    },
+    onStep: () => {
+        if (game.isPaused()) {
+            game.step();
+            debugged = true;
+        }
+    },
+    // Tuning applies right away, returning to the profile starts a new game
+    onTune: (changes) => {
+        if (!changes) {
+            physicsChanges = undefined;
+            resetGame();
+            return;
+        }
+        physicsChanges = { ...physicsChanges, ...changes };
+        tunePhysics(game.world, changes);
+        if (game.isRunning()) {
+            debugged = true;
+            tunedWhilePlaying = true;
+        }
+    },
 });
 
-/* ACCELEROMETER LOGIC */
+/**
+ * Shows or hides the debug overlay. Closing it resumes a paused game, and a game with tuned physics starts over with
+ * the physics profile as it is.
+ *
+ * @param {boolean} open - Whether the overlay should be shown.
+ */
+function toggleDebugOverlay(open) {
+    if (open) {
+        debugOverlay.open(game.world, game.scale);
+        return;
+    }
+    debugOverlay.close();
+    if (physicsChanges) {
+        physicsChanges = undefined;
+        resetGame();
+    }
+}
+
+/* INPUT LOGIC */
 
 /**
- * Handles the device's orientation events to determine the movement of the ball in the maze.
- * This function is triggered by the device's orientation sensors, specifically responding to changes in tilt.
- * It calculates the rotation of the maze element based on the left/right (gamma) and front/back (beta) tilt of the device.
- * Additionally, it computes the acceleration and friction applied to the ball due to the device's tilt, simulating gravity.
- * These calculations are used to update the game state in the subsequent frame of the game loop.
+ * Handles a change of the (virtual) tilt to determine the movement of the ball in the maze.
+ * This function is called by the active input source, no matter if the tilt comes from the device's orientation sensors,
+ * the keyboard, dragging on the maze or a gamepad.
+ * The game (js/game.js) rotates the maze based on the left/right (gamma) and front/back (beta) tilt right away, and
+ * the physics engine derives the acceleration and friction applied to the balls from it in the subsequent frames of
+ * the game loop.
  * 
- * @param {Object} event - The device orientation event containing information about the device's tilt.
- *                          'gamma' represents the left/right tilt, and 'beta' represents the front/back tilt.
- */
-function handleDeviceOrientation(event) {
-    // Left/Right tilt in degrees
-    var tiltLR = event.gamma;
-    // Front/Back tilt in degrees
-    var tiltFB = event.beta;
-
-    var rotationFactor = 0.8;
-
-    // Calculate rotation based on tilt
-    const rotationY = tiltLR * rotationFactor;
-    const rotationX = tiltFB * rotationFactor;
-
-    // Apply rotation to the maze element
-    if (mazeElement) {
-        mazeElement.style.cssText = `transform: rotateY(${rotationY}deg) rotateX(${-rotationX}deg)`;
-    }
-
-    // Gravity and friction
-    const gravity = 0.1; // Gravity factor
-    const friction = 0.001; // Coefficients of friction
-
-    // Calculate friction based on tilt
-    accelerationX = gravity * Math.sin((rotationY / 180) * Math.PI);
-    accelerationY = gravity * Math.sin((rotationX / 180) * Math.PI);
-    frictionX = gravity * Math.cos((rotationY / 180) * Math.PI) * friction;
-    frictionY = gravity * Math.cos((rotationX / 180) * Math.PI) * friction;
-
-    // Proceed to the next frame of the game loop
-    window.requestAnimationFrame(main);
-}
-
-/**
- * Requests permission to access motion and orientation data on devices, especially iOS devices.
- * This function checks if the DeviceMotionEvent.requestPermission method is available, which is
- * particularly relevant for iOS devices starting from iOS 13, where permission is required to access device motion and orientation.
- * If permission is required and granted, it adds an event listener for device orientation changes.
- * If permission is not granted, it alerts the user. On non-iOS devices or older iOS versions, it directly adds the event listener.
- */
-function getAccel() {
-    if (typeof DeviceMotionEvent.requestPermission === 'function') {
-        DeviceMotionEvent.requestPermission()
-            .then(permissionState => {
-                if (permissionState === 'granted') {
-                    window.addEventListener('deviceorientation', handleDeviceOrientation);
-                } else {
-                    alert("Accelerometer permission not granted.");
-                }
-            })
-            .catch(console.error);
+ * @param {Object} tilt - The tilt of the board.
+ *                        'gamma' represents the left/right tilt, and 'beta' represents the front/back tilt, both in degrees.
+ */
+function handleTilt(tilt) {
+    game.setTilt(tilt);
+}
+
+/**
+ * Switches the input source that controls the tilt of the maze.
+ * The previously active source is stopped, so that only one source can tilt the maze at a time.
+ * Starting the 'orientation' source may ask for permission to access the motion sensors (iOS), which is why
+ * this function should be called in response to a user gesture where possible.
+ *
+ * @param {string} name - The name of the input source, one of the keys of 'inputSources'.
+ */
+function selectInputSource(name) {
+    if (activeInput) {
+        activeInput.stop();
+    }
+
+    activeInput = inputSources[name](game.element);
+    activeInput.start(handleTilt, showInputStatus);
+    inputSelectElement.value = name;
+    sensorContainerElement.hidden = name !== "orientation";
+}
+
+/**
+ * Shows a message of the active input source, e.g. the room code a phone has to join.
+ *
+ * @param {string} message - The message, may contain HTML.
+ */
+function showInputStatus(message) {
+    noteElement.innerHTML = message;
+    noteElement.style.opacity = 1;
+}
+
+/**
+ * Uses this device as the controller of the game shown on another screen.
+ * The motion sensors are read like for playing on this device, but their tilt is sent to the other screen instead of
+ * tilting the maze here. Must be called in response to a user gesture, as the sensors may need permission (iOS).
+ *
+ * @param {string} code - The room code shown on the other screen.
+ */
+function joinRoom(code) {
+    if (!code) {
+        showInputStatus("Enter the room code shown on the other screen.");
+        return;
+    }
+    if (activeInput) {
+        activeInput.stop();
+    }
+    resetGame();
+
+    document.getElementById("game-container").classList.add("controller");
+    document.getElementById("join-room").hidden = true;
+    document.getElementById("leave-room").hidden = false;
+    roomCodeInputElement.disabled = true;
+    sensorContainerElement.hidden = false;
+    showInputStatus("Connecting...");
+
+    remoteController = createRemoteController(code, {
+        onJoined: (joinedCode) => {
+            showInputStatus(`Connected to room <b>${joinedCode}</b>. <p>Tilt this device to move the balls on the other screen.</p>`);
+        },
+        onClose: (message) => {
+            leaveRoom();
+            showInputStatus(message);
+        },
+    });
+    activeInput = createOrientationInput();
+    activeInput.start((tilt) => remoteController.send(tilt));
+}
+
+/**
+ * Stops controlling the other screen, the game can be played on this device again.
+ */
+function leaveRoom() {
+    if (!remoteController) return;
+    remoteController.close();
+    remoteController = undefined;
+
+    document.getElementById("game-container").classList.remove("controller");
+    document.getElementById("join-room").hidden = false;
+    document.getElementById("leave-room").hidden = true;
+    roomCodeInputElement.disabled = false;
+    selectInputSource(inputSelectElement.value);
+    noteElement.innerHTML = "Move every ball to the goal to win the game.";
+}
+
+/**
+ * Takes the current pose of the device as the neutral, level board.
+ * Only input sources reading the motion sensors can be calibrated.
+ */
+function calibrateInput() {
+    if (!activeInput || !activeInput.calibrate) return;
+
+    noteElement.style.opacity = 1;
+    if (activeInput.calibrate()) {
+        noteElement.innerHTML = "Calibrated. <p>The board is level when you hold your device like this.</p>";
     } else {
-        window.addEventListener('deviceorientation', handleDeviceOrientation);
+        noteElement.innerHTML = "Your device has not reported its orientation yet. <p>Move it a little and try again.</p>";
     }
 }
 
@@ -386,334 +567,560 @@ Event listener for DOMContentLoaded ensures that the script runs after the entir
 This setup is necessary to ensure that all elements are available for JavaScript to attach event listeners.
 */
 document.addEventListener('DOMContentLoaded', () => {
-    document.getElementById('accelPermsButton').addEventListener('click', getAccel);
+    // Needed for iOS devices, where motion sensors can only be accessed after a user gesture
+    document.getElementById('accelPermsButton').addEventListener('click', function () {
+        selectInputSource("orientation");
+    });
+
+    // Event listener for the input source selection
+    inputSelectElement.addEventListener('change', function () {
+        selectInputSource(inputSelectElement.value);
+    });
+
+    // Event listeners for using this device as the controller of another screen, a join link fills in the room code
+    roomCodeInputElement.value = normalizeRoomCode(new URLSearchParams(window.location.search).get("room"));
+    document.getElementById('join-room').addEventListener('click', function () {
+        joinRoom(normalizeRoomCode(roomCodeInputElement.value));
+    });
+    document.getElementById('leave-room').addEventListener('click', leaveRoom);
+
+    // Event listeners for the motion sensor settings
+    loadSensorSettings();
+    smoothingInputElement.value = sensorSettings.smoothing;
+    deadZoneInputElement.value = sensorSettings.deadZone;
+    document.getElementById('calibrate').addEventListener('click', calibrateInput);
+    smoothingInputElement.addEventListener('input', function () {
+        sensorSettings.smoothing = Number(smoothingInputElement.value);
+        saveSensorSettings();
+    });
+    deadZoneInputElement.addEventListener('input', function () {
+        sensorSettings.deadZone = Number(deadZoneInputElement.value);
+        saveSensorSettings();
+    });
+
+    // Event listeners for sound and vibration
+    loadFeedbackSettings();
+    soundInputElement.checked = feedbackSettings.sound;
+    vibrationInputElement.checked = feedbackSettings.vibration;
+    soundInputElement.addEventListener('change', function () {
+        feedbackSettings.sound = soundInputElement.checked;
+        saveFeedbackSettings();
+        // Turning the sound on is a user gesture, which allows audio
+        if (feedbackSettings.sound) unlockAudio();
+    });
+    vibrationInputElement.addEventListener('change', function () {
+        feedbackSettings.vibration = vibrationInputElement.checked;
+        saveFeedbackSettings();
+    });
+
+    // Event listener for the seed input, rebuilds the maze when another seed is entered
+    seedInputElement.addEventListener('change', function () {
+        const seed = seedInputElement.value.trim();
+        if (seed && seed !== currentLevel.seed) {
+            startRandomMaze(seed);
+        }
+    });
+
+    // Event listener for the size of random mazes, a new size results in a new maze
+    mazeSizeSelectElement.addEventListener('change', function () {
+        startRandomMaze(seedInputElement.value.trim() || randomSeed());
+    });
+
+    // Event listener for the 'New maze' button
+    document.getElementById('new-maze').addEventListener('click', function () {
+        startRandomMaze(randomSeed());
+    });
+
+    // Event listener for the level selection
+    levelSelectElement.addEventListener('change', function () {
+        if (levelSelectElement.value === "random") {
+            startRandomMaze(randomSeed());
+        } else {
+            startPackLevel(Number(levelSelectElement.value));
+        }
+    });
+
+    // Event listener for the sticky balls option, which only applies to a new game
+    stickyInputElement.addEventListener('change', function () {
+        resetGame();
+    });
+
+    // Event listeners for the hole rule and the number of lives, which only apply to a new game
+    holeRuleSelectElement.addEventListener('change', function () {
+        livesInputElement.hidden = holeRuleSelectElement.value !== "lives";
+        resetGame();
+    });
+    livesInputElement.addEventListener('change', function () {
+        resetGame();
+    });
+
+    // Event listener for the physics profile, which only applies to a new game
+    profileSelectElement.addEventListener('change', function () {
+        resetGame();
+    });
+
+    // Event listener for the actions offered in the note, e.g. retrying a lost game
+    noteElement.addEventListener('click', function (event) {
+        if (event.target.dataset.action === "retry") {
+            resetGame();
+            startGame();
+        } else if (event.target.dataset.action === "update") {
+            applyUpdate();
+        }
+    });
+
+    // Event listener for the debug overlay
+    debugInputElement.addEventListener('change', function () {
+        toggleDebugOverlay(debugInputElement.checked);
+    });
+
+    // Event listener for the renderer selection
+    rendererSelectElement.addEventListener('change', function () {
+        selectRenderer(rendererSelectElement.value);
+    });
+
+    // Event listeners for saving and loading replays
+    document.getElementById('save-replay').addEventListener('click', saveReplay);
+    document.getElementById('load-replay').addEventListener('click', function () {
+        replayFileElement.click();
+    });
+    replayFileElement.addEventListener('change', function () {
+        if (replayFileElement.files.length) {
+            loadReplay(replayFileElement.files[0]);
+        }
+        // Allows loading the same file again
+        replayFileElement.value = "";
+    });
+
+    // Event listener for the 'Share' button, and for challenge links opened while the game is running
+    document.getElementById('share').addEventListener('click', shareLevel);
+    window.addEventListener('hashchange', function () {
+        if (isChallengeHash(window.location.hash)) {
+            openChallenge(window.location.hash);
+        }
+    });
+
+    // Event listeners for the player name and the 'Leaderboard' button
+    playerNameElement.value = loadPlayerName();
+    playerNameElement.addEventListener('change', function () {
+        savePlayerName(playerNameElement.value.trim());
+    });
+    document.getElementById('show-leaderboard').addEventListener('click', function () {
+        if (!leaderboardElement.hidden && leaderboardLevel === currentLevel) {
+            leaderboardElement.hidden = true;
+        } else {
+            showLeaderboard(currentLevel);
+        }
+    });
+
+    // Event listener for the 'Edit level' button
+    editButtonElement.addEventListener('click', function () {
+        if (levelEditor.isOpen()) {
+            closeEditor();
+        } else {
+            openEditor();
+        }
+    });
 
     // Event listener for the 'Start' button
     document.getElementById('start').addEventListener('click', function () {
         startGame();
     });
 
+    // Event listener for the 'Pause' button
+    pauseButtonElement.addEventListener('click', togglePause);
+
     // Event listener for the 'Reset' button
     document.getElementById('reset').addEventListener('click', function () {
         resetGame();
     });
+
+    // Event listener for the 'Hint' button
+    hintButtonElement.addEventListener('click', showHint);
+
+    // The renderer can be chosen at startup with '?renderer=canvas' or '?renderer=dom'
+    const requestedRenderer = new URLSearchParams(window.location.search).get("renderer");
+    selectRenderer(renderers[requestedRenderer] ? requestedRenderer : "dom");
+    selectInputSource(defaultInputSource());
+    registerServiceWorker(showUpdatePrompt);
+    initLevels().then(() => {
+        // Opened through the join link of another screen, the sensors can only be started by a click (iOS)
+        if (roomCodeInputElement.value) {
+            showInputStatus(`Tap <b>Join as controller</b> to control room <b>${roomCodeInputElement.value}</b> with this device.`);
+        }
+
+        // The collision benchmark can be run with '?benchmark=40x40', see js/benchmark.js
+        const parameters = new URLSearchParams(window.location.search);
+        if (parameters.has("benchmark")) {
+            // Wait for the level to be drawn, the benchmark blocks the page while it runs
+            setTimeout(() => showBenchmark(parameters), 100);
+        }
+    });
 });
 
 /**
- * Starts the game by setting the game state to in progress and initiating the game loop.
- * This function is called when the 'Start' button is clicked.
- * It sets the gameInProgress flag to true and triggers the main game loop using requestAnimationFrame.
- * Additionally, it hides the note element to clear the game instructions or messages from the screen.
+ * Tells the player that a new version of the game is ready, which is applied when they click the link in the note.
+ */
+function showUpdatePrompt() {
+    noteElement.style.opacity = 1;
+    noteElement.innerHTML = `A new version of the game is available. <p><span data-action="update">Update now</span></p>`;
+}
+
+/**
+ * Runs the collision benchmark and shows its results in the note.
+ * 
+ * @param {URLSearchParams} parameters - The query parameters: 'benchmark' is the maze size (e.g. "40x40"), 'balls' and
+ *                                       'frames' are optional.
+ */
+function showBenchmark(parameters) {
+    const size = parseBenchmarkSize(parameters.get("benchmark"));
+    noteElement.style.opacity = 1;
+    if (!size) {
+        noteElement.innerHTML = "The benchmark needs a maze size like <b>?benchmark=40x40</b>.";
+        return;
+    }
+
+    const report = runBenchmark({
+        ...size,
+        balls: Number(parameters.get("balls")) || undefined,
+        frames: Number(parameters.get("frames")) || undefined,
+    });
+    const [summary, ...runs] = formatBenchmark(report);
+    noteElement.innerHTML = `Benchmark: ${summary} <p>${runs.join("<br>")}</p>`;
+}
+
+/**
+ * Starts the game, which counts down and then runs the game loop of js/game.js. A paused game is resumed instead.
+ * This function is called when the 'Start' button is clicked, which allows the game to play sounds.
+ * Additionally, it fades the note element to clear the game instructions or messages from the screen.
  */
 function startGame() {
-    if (!gameInProgress) {
-        gameInProgress = true;
-        window.requestAnimationFrame(main);
-        noteElement.style.opacity = 0.5;    
-        noteElement.innerHTML = "Good luck! <p><b>Hint:</b> it's easier to unite the balls first.</p>";
+    if (game.isPaused()) {
+        game.resume();
+    } else if (game.state === "idle") {
+        game.start();
+        noteElement.style.opacity = 0.5;
+        // United balls cannot split up to reach goals of different colors
+        noteElement.innerHTML = hasColoredGoals()
+            ? "Good luck! <p><b>Hint:</b> the order in which the balls reach their goals matters.</p>"
+            : "Good luck! <p><b>Hint:</b> it's easier to unite the balls first.</p>";
+    }
+}
+
+/**
+ * Pauses or resumes the game.
+ * This function is called when the 'Pause' button is clicked.
+ */
+function togglePause() {
+    if (game.isPaused()) {
+        game.resume();
+    } else {
+        game.pause();
     }
 }
 
+/**
+ * Tells the player that the game is paused and how it continues.
+ *
+ * @param {Object} pause - The pause event of the game.
+ * @param {boolean} pause.automatic - Whether the game paused because the page went to the background.
+ */
+function showPause({ automatic }) {
+    noteElement.innerHTML = automatic
+        ? "Paused while the game was in the background. <p>It continues with a countdown when you come back.</p>"
+        : "Paused. <p>Press Resume to continue after a countdown.</p>";
+    noteElement.style.opacity = 1;
+}
+
+/**
+ * Checks whether the balls of the current level have to reach goals of their own color.
+ *
+ * @returns {boolean} True if the level has colored goals.
+ */
+function hasColoredGoals() {
+    return currentLevel.goals.some((goal) => goal.color !== undefined);
+}
+
 /**
  * Resets the game to its initial state.
  * This function is called when the 'Reset' button is clicked.
- * It resets the time, game progress flags, acceleration, friction variables, and maze element's transformation.
- * It also resets the instruction note's content and visibility and reinitializes the positions of the balls
- * in the maze to their starting locations.
+ * It resets the time, game progress flags, the tilt, and maze element's transformation.
+ * It also resets the instruction note's content and visibility and recreates the simulation, which places the balls
+ * in the maze at their starting locations.
  */
 function resetGame() {
-    previousTimestamp = undefined;
-    gameInProgress = false;
-    accelerationX = undefined;
-    accelerationY = undefined;
-    frictionX = undefined;
-    frictionY = undefined;
+    clearTimeout(nextLevelTimeout);
+    hintsUsed = 0;
+    debugged = false;
+    tunedWhilePlaying = false;
+    hideHint();
+
+    const task = hasColoredGoals()
+        ? "Move every ball to the goal of its color at the same time to win the game."
+        : "Move every ball to the goal to win the game.";
+    const holes = currentLevel.holes.length ? " <p>Watch out for the holes!</p>" : "";
+    const target = challenge && challenge.targetTime !== undefined
+        ? ` <p>Challenge: win in ${formatTime(challenge.targetTime)} or less.</p>`
+        : "";
+    noteElement.innerHTML = task + holes + target;
+    noteElement.style.opacity = 1;
+
+    // Balls in the maze, placed in the center of their start cells, on a flat board
+    game.reset();
+    updateStats();
+}
 
-    mazeElement.style.cssText = `transform: rotateY(0deg) rotateX(0deg)`;
+/**
+ * Shows the elapsed time and the wall hits of the current run.
+ * The time is the simulated time, so it stands still whenever the game loop does not run.
+ */
+function updateStats() {
+    const { world, wallHits } = game;
+    timerElement.textContent = formatTime(world.time);
+    wallHitsElement.textContent = `${wallHits} wall ${wallHits === 1 ? "hit" : "hits"}`;
+    livesLeftElement.hidden = world.options.holeRule !== "lives";
+    livesLeftElement.textContent = `${world.lives} ${world.lives === 1 ? "life" : "lives"} left`;
+    hintButtonElement.textContent = `Hint (${hintsPerRun - hintsUsed} left)`;
+}
 
-    noteElement.innerHTML = "Move every ball to the center to win the game.";
-    noteElement.style.opacity = 1;
+/**
+ * Shows the route of the ball that is farthest from its goal for a few seconds, if the player has hints left.
+ * Hints can only be used while a run is played and not paused, and only hints that show a route count against the score.
+ */
+function showHint() {
+    if (game.state !== "playing" || game.isReplaying()) {
+        noteElement.innerHTML = "Start the game first, then ask for a hint.";
+        return;
+    }
+    if (hintsUsed >= hintsPerRun) {
+        noteElement.innerHTML = "No hints left for this run.";
+        return;
+    }
+
+    const { world } = game;
+    const hint = findHint(currentLevel, world);
+    if (!hint) {
+        noteElement.innerHTML = "No ball can be shown a route right now.";
+        return;
+    }
+
+    hintsUsed += 1;
+    updateStats();
+    const { geometry } = world;
+    game.showRoute({
+        color: world.balls[hint.ball].color,
+        points: hint.route.map(({ column, row }) => ({
+            x: toBoardUnits(column + 0.5, geometry),
+            y: toBoardUnits(row + 0.5, geometry),
+        })),
+    });
+    clearTimeout(hintTimeout);
+    hintTimeout = setTimeout(hideHint, hintDuration);
+    noteElement.innerHTML = `Follow the dots! <p>Every hint costs ${scoreRules.perHint} points.</p>`;
+}
+
+/**
+ * Removes the route of the last hint from the board.
+ */
+function hideHint() {
+    clearTimeout(hintTimeout);
+    game.showRoute();
+}
 
-    // Balls in the maze
-    balls = [
-        { column: 0, row: 0 },
-        { column: 9, row: 0 },
-        { column: 0, row: 9 },
-        { column: 9, row: 9 },
-    ].map((ball) => ({
-        x: ball.column * (wallWidth + pathWidth) + (wallWidth / 2 + pathWidth / 2),
-        y: ball.row * (wallWidth + pathWidth) + (wallWidth / 2 + pathWidth / 2),
-        velocityX: 0,
-        velocityY: 0,
-    }));
-
-    if (ballElements.length) {
-        balls.forEach(({ x, y }, index) => {
-            ballElements[index].style.left = `${x}px`;
-            ballElements[index].style.top = `${y}px`;
+/**
+ * Fills the leaderboard with the best runs of a level and shows it.
+ * 
+ * @param {Object} level - The resolved level layout.
+ * @param {number} [highlightRank] - The rank of an entry to highlight, e.g. the run that was just won.
+ */
+function showLeaderboard(level, highlightRank) {
+    const entries = loadLeaderboard(level);
+    const body = document.getElementById("leaderboard-entries");
+    body.innerHTML = "";
+
+    entries.forEach((entry, rank) => {
+        const row = document.createElement("tr");
+        row.classList.toggle("highlight", rank === highlightRank);
+        [
+            rank + 1,
+            entry.name,
+            formatTime(entry.time),
+            entry.wallHits,
+            entry.hints || 0,
+            entry.score,
+            new Date(entry.date).toLocaleDateString(),
+        ].forEach((value) => {
+            const cell = document.createElement("td");
+            // Names are entered by players, so they are never parsed as HTML
+            cell.textContent = value;
+            row.appendChild(cell);
         });
+        body.appendChild(row);
+    });
+
+    document.getElementById("leaderboard-title").textContent = entries.length
+        ? `Leaderboard: ${level.name}`
+        : `Leaderboard: ${level.name} (no runs yet)`;
+    leaderboardLevel = level;
+    leaderboardElement.hidden = false;
+}
+
+/**
+ * Collects the simulation options chosen by the player.
+ * 
+ * @returns {Object} The options for 'createWorld' (js/physics.js).
+ */
+function worldOptions() {
+    const lives = Math.min(Math.max(Math.round(Number(livesInputElement.value)) || 1, 1), 9);
+    return {
+        stickyBalls: stickyInputElement.checked,
+        holeRule: holeRuleSelectElement.value,
+        lives,
+        profile: profileSelectElement.value,
+        physics: physicsChanges,
+    };
+}
+
+/**
+ * Switches the renderer that draws the game.
+ * The previous renderer removes everything it added to the page, the new one draws the current level from scratch.
+ * 
+ * @param {string} name - The name of the renderer, one of the keys of 'renderers'.
+ */
+function selectRenderer(name) {
+    game.setRenderer(name);
+    rendererSelectElement.value = name;
+}
+
+/**
+ * Ends the current level as won.
+ * The run is scored and entered into the leaderboard of the maze, which is shown right away. Replays are not entered,
+ * neither are runs that were paused, stepped or played with tuned physics using the debug overlay.
+ * Within the level pack, the next level is unlocked and started after a short break, so the player can read the
+ * win message first. After the last level of the pack, and for random mazes, the game simply stops.
+ * 
+ * @param {Object} win - The details of the 'win' event of the game (js/game.js).
+ */
+function winLevel({ time, wallHits, recording, replay }) {
+    hideHint();
+    noteElement.style.opacity = 1;
+
+    if (replay) {
+        noteElement.innerHTML = `Replay finished. <p>All balls reached the goal after ${formatTime(time)}.</p>`;
+        return;
+    }
+
+    // The recording cannot reproduce a run whose physics changed along the way
+    lastRecording = tunedWhilePlaying ? undefined : recording;
+
+    const run = { name: playerNameElement.value.trim() || "Anonymous", time, wallHits, hints: hintsUsed };
+    run.score = calculateScore(run);
+    const ranked = !debugged && !physicsChanges;
+    const rank = ranked ? addToLeaderboard(currentLevel, run) : -1;
+    if (ranked) {
+        showLeaderboard(currentLevel, rank);
+        lastWin = { level: currentLevel, time };
+    }
+    const hints = run.hints ? `, hints: ${run.hints}` : "";
+    let result = `<p>Time: ${formatTime(run.time)}, wall hits: ${run.wallHits}${hints}, score: ${run.score}${rank === 0 ? " (new best!)" : ""}</p>` +
+        (ranked ? "" : "<p>The run was debugged, so it is not ranked.</p>");
+    if (challenge && challenge.targetTime !== undefined) {
+        result += run.time <= challenge.targetTime
+            ? "<p>Challenge beaten!</p>"
+            : `<p>Challenge missed by ${formatTime(run.time - challenge.targetTime)}.</p>`;
+    }
+
+    const nextIndex = currentPackIndex === undefined ? undefined : currentPackIndex + 1;
+    if (nextIndex === undefined) {
+        noteElement.innerHTML = `Good job! ${result}<p>You managed to get all balls to the goal.</p>`;
+    } else if (nextIndex >= levelPack.length) {
+        noteElement.innerHTML = `Good job! ${result}<p>You have completed every level.</p>`;
+    } else {
+        saveProgress(nextIndex + 1);
+        updateLevelSelection();
+        noteElement.innerHTML = `Good job! ${result}<p>Next level: ${levelPack[nextIndex].name}</p>`;
+        nextLevelTimeout = setTimeout(() => startPackLevel(nextIndex), 3000);
+    }
+}
+
+/**
+ * Tells the player that a ball fell into a hole and what happens next, according to the hole rule.
+ */
+function showFall() {
+    const { world } = game;
+    if (world.options.holeRule !== "lives") {
+        noteElement.innerHTML = "Oops, a ball fell into a hole! <p>It starts over from its start cell.</p>";
+    } else if (world.lives > 0) {
+        noteElement.innerHTML = `Oops, a ball fell into a hole! <p>${world.lives} ${world.lives === 1 ? "life" : "lives"} left, all balls start over.</p>`;
+    } else {
+        noteElement.innerHTML = "Oops, a ball fell into a hole! <p>That was your last life.</p>";
     }
 }
 
 /**
- * The main game loop function, responsible for updating the game state in each frame.
- * It calculates the movement of balls based on the current tilt of the device and applies physics, such as gravity and friction.
- * The function handles collision detection with walls, updates ball positions, and checks for win conditions.
- * If the game is in progress, it requests the next animation frame to continue the game loop.
+ * Ends the current level as lost, after the last life was used up.
+ * The game has stopped, and the note offers to try the level again.
  * 
- * @param {number} timestamp - The timestamp of the current frame, provided by requestAnimationFrame.
+ * @param {Object} failure - The details of the 'fail' event of the game (js/game.js).
  */
-function main(timestamp) {
-    // It is possible to reset the game mid-game
-    if (!gameInProgress) return;
+function failLevel({ time }) {
+    hideHint();
+    noteElement.style.opacity = 1;
+    noteElement.innerHTML = `Game over! <p>All lives are used up after ${formatTime(time)}.</p><p><span data-action="retry">Try again</span></p>`;
+}
 
-    if (previousTimestamp === undefined) {
-        previousTimestamp = timestamp;
-        window.requestAnimationFrame(main);
+/**
+ * Downloads the recording of the last won run as a JSON file.
+ */
+function saveReplay() {
+    if (!lastRecording) {
+        noteElement.innerHTML = "Win a level first, then its run can be saved as a replay.";
+        noteElement.style.opacity = 1;
         return;
     }
 
-    const maxVelocity = 0.25;
-
-    /*
-    Calculates the time elapsed since the last update cycle in terms of 'frame units'.
-    Dividing the actual time elapsed (in ms) by 16 normalizes the value, so that
-    a value of 1 represents the expected duration of a single frame (16 ms).
-    */
-    const timeElapsed = (timestamp - previousTimestamp) / 16;
-    
-    if (accelerationX != undefined && accelerationY != undefined) {
-        const velocityChangeX = accelerationX * timeElapsed;
-        const velocityChangeY = accelerationY * timeElapsed;
-        const frictionDeltaX = frictionX * timeElapsed;
-        const frictionDeltaY = frictionY * timeElapsed;
-
-        balls.forEach((ball) => {
-            if (velocityChangeX == 0) {
-                /* 
-                No rotation, the plane is flat.
-                On flat surface friction can only slow down, but not reverse movement.
-                */
-                ball.velocityX = slow(ball.velocityX, frictionDeltaX);
-            } else {
-                ball.velocityX = ball.velocityX + velocityChangeX;
-                ball.velocityX = Math.max(Math.min(ball.velocityX, 1.5), -1.5);
-                ball.velocityX = ball.velocityX - Math.sign(velocityChangeX) * frictionDeltaX;
-                ball.velocityX = Math.minmax(ball.velocityX, maxVelocity);
-            }
-
-            if (velocityChangeY == 0) {
-                /*
-                No rotation, the plane is flat.
-                On flat surface friction can only slow down, but not reverse movement.
-                */
-                ball.velocityY = slow(ball.velocityY, frictionDeltaY);
-            } else {
-                ball.velocityY = ball.velocityY + velocityChangeY;
-                ball.velocityY =
-                    ball.velocityY - Math.sign(velocityChangeY) * frictionDeltaY;
-                ball.velocityY = Math.minmax(ball.velocityY, maxVelocity);
-            }
-
-            /*
-            Preliminary next ball position, only becomes true if no hit occurs.
-            Used only for hit testing, does not mean that the ball will reach this position.
-            */
-            ball.nextX = ball.x + ball.velocityX;
-            ball.nextY = ball.y + ball.velocityY;
-
-            walls.forEach((wall) => {
-                if (wall.horizontal) {
-                    // Horizontal wall
-                    if (
-                        ball.nextY + ballSize / 2 >= wall.y - wallWidth / 2 &&
-                        ball.nextY - ballSize / 2 <= wall.y + wallWidth / 2
-                    ) {
-                        /*
-                        Ball got within the strip of the wall.
-                        (not necessarily hit it, could be before or after).
-                        */
-
-                        const wallStart = {
-                            x: wall.x,
-                            y: wall.y,
-                        };
-                        const wallEnd = {
-                            x: wall.x + wall.length,
-                            y: wall.y,
-                        };
-
-                        if (
-                            ball.nextX + ballSize / 2 >= wallStart.x - wallWidth / 2 &&
-                            ball.nextX < wallStart.x
-                        ) {
-                            // Ball might hit the left cap of a horizontal wall
-                            const distance = distance2D(wallStart, {
-                                x: ball.nextX,
-                                y: ball.nextY,
-                            });
-                            if (distance < ballSize / 2 + wallWidth / 2) {
-                                // Ball hits the left cap of a horizontal wall
-                                const closest = closestItCanBe(wallStart, {
-                                    x: ball.nextX,
-                                    y: ball.nextY,
-                                });
-                                const rolled = rollAroundCap(wallStart, {
-                                    x: closest.x,
-                                    y: closest.y,
-                                    velocityX: ball.velocityX,
-                                    velocityY: ball.velocityY,
-                                });
-
-                                Object.assign(ball, rolled);
-                            }
-                        }
-
-                        if (
-                            ball.nextX - ballSize / 2 <= wallEnd.x + wallWidth / 2 &&
-                            ball.nextX > wallEnd.x
-                        ) {
-                            // Ball might hit the right cap of a horizontal wall
-                            const distance = distance2D(wallEnd, {
-                                x: ball.nextX,
-                                y: ball.nextY,
-                            });
-                            if (distance < ballSize / 2 + wallWidth / 2) {
-                                // Ball hits the right cap of a horizontal wall
-                                const closest = closestItCanBe(wallEnd, {
-                                    x: ball.nextX,
-                                    y: ball.nextY,
-                                });
-                                const rolled = rollAroundCap(wallEnd, {
-                                    x: closest.x,
-                                    y: closest.y,
-                                    velocityX: ball.velocityX,
-                                    velocityY: ball.velocityY,
-                                });
-
-                                Object.assign(ball, rolled);
-                            }
-                        }
-
-                        if (ball.nextX >= wallStart.x && ball.nextX <= wallEnd.x) {
-                            // The ball got inside the main body of the wall
-                            if (ball.nextY < wall.y) {
-                                // Hit horizontal wall from top
-                                ball.nextY = wall.y - wallWidth / 2 - ballSize / 2;
-                            } else {
-                                // Hit horizontal wall from bottom
-                                ball.nextY = wall.y + wallWidth / 2 + ballSize / 2;
-                            }
-                            ball.y = ball.nextY;
-                            ball.velocityY = -ball.velocityY / 6;
-                        }
-                    }
-                } else {
-                    // Vertical wall
-                    if (
-                        ball.nextX + ballSize / 2 >= wall.x - wallWidth / 2 &&
-                        ball.nextX - ballSize / 2 <= wall.x + wallWidth / 2
-                    ) {
-                        /*
-                        Ball got within the strip of the wall.
-                        (not necessarily hit it, could be before or after).
-                        */
-                        const wallStart = {
-                            x: wall.x,
-                            y: wall.y,
-                        };
-                        const wallEnd = {
-                            x: wall.x,
-                            y: wall.y + wall.length,
-                        };
-
-                        if (
-                            ball.nextY + ballSize / 2 >= wallStart.y - wallWidth / 2 &&
-                            ball.nextY < wallStart.y
-                        ) {
-                            // Ball might hit the top cap of a horizontal wall
-                            const distance = distance2D(wallStart, {
-                                x: ball.nextX,
-                                y: ball.nextY,
-                            });
-                            if (distance < ballSize / 2 + wallWidth / 2) {
-                                // Ball hits the left cap of a horizontal wall
-                                const closest = closestItCanBe(wallStart, {
-                                    x: ball.nextX,
-                                    y: ball.nextY,
-                                });
-                                const rolled = rollAroundCap(wallStart, {
-                                    x: closest.x,
-                                    y: closest.y,
-                                    velocityX: ball.velocityX,
-                                    velocityY: ball.velocityY,
-                                });
-
-                                Object.assign(ball, rolled);
-                            }
-                        }
-
-                        if (
-                            ball.nextY - ballSize / 2 <= wallEnd.y + wallWidth / 2 &&
-                            ball.nextY > wallEnd.y
-                        ) {
-                            // Ball might hit the bottom cap of a horizontal wall
-                            const distance = distance2D(wallEnd, {
-                                x: ball.nextX,
-                                y: ball.nextY,
-                            });
-                            if (distance < ballSize / 2 + wallWidth / 2) {
-                                // Ball hits the right cap of a horizontal wall
-                                const closest = closestItCanBe(wallEnd, {
-                                    x: ball.nextX,
-                                    y: ball.nextY,
-                                });
-                                const rolled = rollAroundCap(wallEnd, {
-                                    x: closest.x,
-                                    y: closest.y,
-                                    velocityX: ball.velocityX,
-                                    velocityY: ball.velocityY,
-                                });
-
-                                Object.assign(ball, rolled);
-                            }
-                        }
-
-                        if (ball.nextY >= wallStart.y && ball.nextY <= wallEnd.y) {
-                            // The ball got inside the main body of the wall
-                            if (ball.nextX < wall.x) {
-                                // Hit vertical wall from left
-                                ball.nextX = wall.x - wallWidth / 2 - ballSize / 2;
-                            } else {
-                                // Hit vertical wall from right
-                                ball.nextX = wall.x + wallWidth / 2 + ballSize / 2;
-                            }
-                            ball.x = ball.nextX;
-                            ball.velocityX = -ball.velocityX / 6;
-                        }
-                    }
-                }
-            });
-
-            // Adjust ball metadata
-            ball.x = ball.x + ball.velocityX;
-            ball.y = ball.y + ball.velocityY;
-        });
+    const blob = new Blob([JSON.stringify(lastRecording)], { type: "application/json" });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `${lastRecording.level.name.trim().toLowerCase().replace(/[^a-z0-9]+/g, "-") || "level"}.replay.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
 
-        // Move balls to their new position
-        balls.forEach(({ x, y }, index) => {
-            ballElements[index].style.left = `${x}px`;
-            ballElements[index].style.top =  `${y}px`;
-        });
+/**
+ * Loads a recording chosen by the player and replays it.
+ * The level and the simulation options of the recording are restored first, then the game (js/game.js) replays it:
+ * the recorded tilt drives the simulation instead of the input source.
+ * 
+ * @param {File} file - The chosen recording file.
+ */
+async function loadReplay(file) {
+    let recording;
+    try {
+        recording = JSON.parse(await file.text());
+    } catch (error) {
+        recording = undefined;
     }
 
-    // Win detection
-    if (balls.every((ball) => distance2D(ball, { x: 400 / 2, y: 400 / 2 }) < 75 / 2)) {
-        noteElement.innerHTML = "Good job! <p>You managed to get all four balls to the center.</p>";
+    const errors = validateRecording(recording);
+    if (errors.length) {
+        noteElement.innerHTML = `The replay could not be loaded. <p>${errors.join(" ")}</p>`;
         noteElement.style.opacity = 1;
-        gameInProgress = false;
-    } else {
-        previousTimestamp = timestamp;
-        window.requestAnimationFrame(main);
+        return;
     }
+
+    stickyInputElement.checked = Boolean(recording.options.stickyBalls);
+    holeRuleSelectElement.value = recording.options.holeRule === "lives" ? "lives" : "restart";
+    livesInputElement.value = recording.options.lives || 3;
+    livesInputElement.hidden = holeRuleSelectElement.value !== "lives";
+    // Recordings made before there were physics profiles were made with the default one
+    profileSelectElement.value = recording.options.profile || defaultPhysicsProfile;
+    physicsChanges = recording.options.physics;
+    buildLevel(resolveLevel(recording.level));
+
+    game.replay(recording);
+    noteElement.innerHTML = "Replaying a run of <q></q>.";
+    // Replay files can come from anyone, so the name of their level is never parsed as HTML
+    noteElement.querySelector("q").textContent = recording.level.name;
+    noteElement.style.opacity = 0.5;
 }
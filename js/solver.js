@@ -0,0 +1,172 @@
+/**
+ * MoCIoT Web App: Maze Solver
+ *
+ * This script finds routes through a maze for the hints of the game. It works on the graph of grid cells implied by the
+ * walls of a level (see js/levels.js): two neighboring cells are connected unless a wall runs between them. Cells with
+ * a hole are left out, so a route never leads a ball into one.
+ *
+ * Every step between two cells costs the same, so a breadth-first search already finds the shortest route, without the
+ * estimate an A* search would need.
+ *
+ * Only the static walls are taken into account. Moving walls and doors change while playing, so a route may lead
+ * through a door that has to be opened first or wait for a moving wall to pass.
+ *
+ * Cells are given as { column, row }, routes as arrays of cells from the start to the goal.
+ */
+
+// In Node the engine is required, in the browser it is the globals of js/physics.js
+const solverEngine = typeof module !== "undefined" && module.exports
+    ? require("./physics.js")
+    : { toBoardUnits, goalAccepts };
+
+/**
+ * Creates the cell graph of a level.
+ *
+ * @param {Object} level - The resolved level layout in grid units, as returned by 'resolveLevel' (js/levels.js).
+ * @returns {Object} The graph with 'columns', 'rows', 'index(cell)' and 'neighbors(index)', which lists the indices of
+ *                   the cells that can be reached from a cell in one step.
+ */
+const createCellGraph = (level) => {
+    const { columns, rows, walls, holes } = level;
+    const index = ({ column, row }) => row * columns + column;
+
+    // Edges between neighboring cells that are blocked by a wall, e.g. "h3,4" for the top edge of cell 3, 4
+    const blocked = new Set();
+    walls.forEach(({ column, row, horizontal, length }) => {
+        for (let i = 0; i < length; i++) {
+            blocked.add(horizontal ? `h${column + i},${row}` : `v${column},${row + i}`);
+        }
+    });
+    const holeCells = new Set(holes.map(index));
+
+    const neighbors = (cellIndex) => {
+        const column = cellIndex % columns;
+        const row = Math.floor(cellIndex / columns);
+        return [
+            column > 0 && !blocked.has(`v${column},${row}`) && cellIndex - 1,
+            column < columns - 1 && !blocked.has(`v${column + 1},${row}`) && cellIndex + 1,
+            row > 0 && !blocked.has(`h${column},${row}`) && cellIndex - columns,
+            row < rows - 1 && !blocked.has(`h${column},${row + 1}`) && cellIndex + columns,
+        ].filter((neighbor) => neighbor !== false && !holeCells.has(neighbor));
+    };
+
+    return { columns, rows, index, neighbors };
+};
+
+/**
+ * Determines the cells that count as inside a goal zone, i.e. whose center lies within the zone as in the win
+ * detection of js/physics.js. Goals smaller than a cell fall back to the cell containing their center.
+ *
+ * @param {Object} level - The resolved level layout.
+ * @param {Object} goal - The goal zone { x, y, size } in grid units.
+ * @returns {Array} The cells of the goal.
+ */
+const goalZoneCells = (level, { x, y, size }) => {
+    const cells = [];
+    for (let row = 0; row < level.rows; row++) {
+        for (let column = 0; column < level.columns; column++) {
+            if (Math.hypot(column + 0.5 - x, row + 0.5 - y) < size / 2) {
+                cells.push({ column, row });
+            }
+        }
+    }
+    if (!cells.length) {
+        cells.push({
+            column: Math.min(Math.max(Math.floor(x), 0), level.columns - 1),
+            row: Math.min(Math.max(Math.floor(y), 0), level.rows - 1),
+        });
+    }
+    return cells;
+};
+
+/**
+ * Finds the shortest route from a cell to the closest of several target cells.
+ *
+ * @param {Object} graph - The cell graph, see 'createCellGraph'.
+ * @param {Object} start - The start cell.
+ * @param {Array} targets - The target cells.
+ * @returns {Array|undefined} The cells of the route, including the start and the reached target, or undefined if no
+ *                            target can be reached.
+ */
+const findRoute = (graph, start, targets) => {
+    const targetIndices = new Set(targets.map(graph.index));
+    const startIndex = graph.index(start);
+    // Cell each visited cell was reached from
+    const previous = new Map([[startIndex, -1]]);
+    const queue = [startIndex];
+
+    for (let head = 0; head < queue.length; head++) {
+        const current = queue[head];
+        if (targetIndices.has(current)) {
+            const route = [];
+            for (let cell = current; cell !== -1; cell = previous.get(cell)) {
+                route.unshift({ column: cell % graph.columns, row: Math.floor(cell / graph.columns) });
+            }
+            return route;
+        }
+        graph.neighbors(current).forEach((neighbor) => {
+            if (!previous.has(neighbor)) {
+                previous.set(neighbor, current);
+                queue.push(neighbor);
+            }
+        });
+    }
+    return undefined;
+};
+
+/**
+ * Finds a hint for the current state of a game: the route of the ball that is farthest from a goal accepting it.
+ * Balls that are already in such a goal, or falling into a hole, need no hint.
+ *
+ * @param {Object} level - The resolved level layout.
+ * @param {Object} world - The world state (js/physics.js), for the current positions of the balls.
+ * @returns {Object|undefined} The hint { ball, route } with the index of the ball and its route, or undefined if no
+ *                             ball needs or can be given a route.
+ */
+const findHint = (level, world) => {
+    const { toBoardUnits, goalAccepts } = solverEngine;
+    const graph = createCellGraph(level);
+    const cellSize = toBoardUnits(1, world.geometry);
+    const toCell = (position, count) => Math.min(Math.max(Math.floor(position / cellSize), 0), count - 1);
+
+    return world.balls.reduce((farthest, ball, index) => {
+        if (ball.inGoal || ball.hole !== undefined) return farthest;
+
+        const start = { column: toCell(ball.x, level.columns), row: toCell(ball.y, level.rows) };
+        const targets = level.goals
+            .filter((goal) => goalAccepts(goal, ball))
+            .flatMap((goal) => goalZoneCells(level, goal));
+        const route = findRoute(graph, start, targets);
+        return route && (!farthest || route.length > farthest.route.length) ? { ball: index, route } : farthest;
+    }, undefined);
+};
+
+/**
+ * Finds the balls of a level that cannot reach any goal accepting them from their start cell. Unlike the routes of
+ * hints, routes may lead past holes, which leave room to pass them along the walls. Doors count as open, so a level
+ * passing this check may still need the right order of moves.
+ *
+ * @param {Object} level - The resolved level layout.
+ * @returns {Array} The indices of the balls without a route, empty if every ball can reach a goal.
+ */
+const findUnreachableBalls = (level) => {
+    const { goalAccepts } = solverEngine;
+    const graph = createCellGraph({ ...level, holes: [] });
+    return level.balls.reduce((unreachable, ball, index) => {
+        const targets = level.goals
+            .filter((goal) => goalAccepts(goal, ball))
+            .flatMap((goal) => goalZoneCells(level, goal));
+        return findRoute(graph, ball, targets) ? unreachable : unreachable.concat(index);
+    }, []);
+};
+
+// Allows requiring the solver in Node, in the browser everything above is available as globals
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        createCellGraph,
+        goalZoneCells,
+        findRoute,
+        findHint,
+        findUnreachableBalls,
+    };
+}
@@ -0,0 +1,364 @@
+/**
+ * MoCIoT Web App: Local Relay Server
+ *
+ * This script serves the game and relays the tilt of a phone to a display (e.g. a laptop connected to a projector) over
+ * WebSockets, so the game can be demoed on a big screen with a phone as the controller. It only uses Node's built-in
+ * modules, so it runs on any machine with Node and needs neither an installation nor any outside service:
+ *
+ *   node server/relay.js [--port 8080] [--cert cert.pem --key key.pem]
+ *
+ * Then open the printed address on the display, choose the phone as the input source there, and join the room with
+ * the shown code on the phone. Most mobile browsers only grant access to the motion sensors on secure pages, so on a
+ * LAN the server should be started with a certificate (e.g. a self-signed one), which makes it serve HTTPS and WSS.
+ *
+ * Relay protocol (JSON text messages on the path '/relay'):
+ *   display -> relay:    { "type": "host" }                        Opens a room.
+ *   relay -> display:    { "type": "room", "code": "K7QD" }        The code the controller joins with.
+ *   controller -> relay: { "type": "join", "code": "K7QD" }
+ *   relay -> controller: { "type": "joined", "code": "K7QD" }      or { "type": "error", "message": "..." }
+ *   relay -> display:    { "type": "controller", "connected": true }   Also sent with false when the controller leaves.
+ *   controller -> relay -> display: { "type": "tilt", "gamma": 12.5, "beta": -3 }
+ * A room closes when its display disconnects, the controller is then told so and disconnected.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const os = require("os");
+const path = require("path");
+
+// Directory served as the web root, the root of the repository
+const webRoot = path.resolve(__dirname, "..");
+// Path of the WebSocket endpoint
+const relayPath = "/relay";
+// Characters of room codes, without characters that are easily confused (0/O, 1/I)
+const roomCodeAlphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const roomCodeLength = 4;
+// Messages are tiny, anything bigger is not from the game
+const maxMessageSize = 4096;
+// GUID every WebSocket server appends to the key of the handshake (RFC 6455)
+const webSocketGuid = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const contentTypes = {
+    ".html": "text/html; charset=utf-8",
+    ".css": "text/css; charset=utf-8",
+    ".js": "text/javascript; charset=utf-8",
+    ".json": "application/json; charset=utf-8",
+    ".svg": "image/svg+xml",
+    ".png": "image/png",
+    ".woff2": "font/woff2",
+    ".webmanifest": "application/manifest+json",
+};
+
+// Open rooms by their code: { display, controller }
+const rooms = new Map();
+
+/**
+ * Reads the command line options.
+ *
+ * @param {Array} args - The command line arguments after the script name.
+ * @returns {Object} The options with 'port', and 'cert' and 'key' if HTTPS should be used.
+ */
+const parseArguments = (args) => {
+    const options = { port: Number(process.env.PORT) || 8080 };
+    for (let i = 0; i < args.length; i += 2) {
+        const name = args[i].replace(/^--/, "");
+        if (!["port", "cert", "key"].includes(name) || args[i + 1] === undefined) {
+            throw new Error(`Unknown or incomplete option "${args[i]}".`);
+        }
+        options[name] = name === "port" ? Number(args[i + 1]) : args[i + 1];
+    }
+    if (Boolean(options.cert) !== Boolean(options.key)) {
+        throw new Error("--cert and --key must be given together.");
+    }
+    return options;
+};
+
+/**
+ * Serves a file of the web root.
+ *
+ * @param {http.IncomingMessage} request - The request.
+ * @param {http.ServerResponse} response - The response.
+ */
+const serveFile = (request, response) => {
+    const { pathname } = new URL(request.url, "http://localhost");
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname === "/" ? "/index.html" : pathname);
+    } catch (error) {
+        // Broken percent-encoding, e.g. '/%E0%A4%A'
+        decoded = undefined;
+    }
+    // File system calls throw right away on paths with a NUL byte, e.g. '/%00'
+    if (decoded === undefined || decoded.includes("\0")) {
+        response.writeHead(400, { "Content-Type": "text/plain" }).end("Bad request");
+        return;
+    }
+    const file = path.join(webRoot, decoded);
+
+    // Nothing outside of the web root, no hidden files (e.g. .git) and nothing of the server itself is served
+    const relative = path.relative(webRoot, file);
+    if (relative.startsWith("..") || relative.split(path.sep).some((part) => part.startsWith(".")) ||
+        file.startsWith(__dirname + path.sep)) {
+        response.writeHead(403).end();
+        return;
+    }
+
+    fs.readFile(file, (error, content) => {
+        if (error) {
+            response.writeHead(404, { "Content-Type": "text/plain" }).end("Not found");
+            return;
+        }
+        response.writeHead(200, {
+            "Content-Type": contentTypes[path.extname(file)] || "application/octet-stream",
+            "Cache-Control": "no-cache",
+        });
+        response.end(content);
+    });
+};
+
+/**
+ * Encodes a text message as an unmasked WebSocket frame, as sent by servers.
+ *
+ * @param {string} text - The message.
+ * @returns {Buffer} The frame.
+ */
+const encodeFrame = (text) => {
+    const payload = Buffer.from(text);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header.writeUInt8(0x81, 0);
+        header.writeUInt8(126, 1);
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header.writeUInt8(0x81, 0);
+        header.writeUInt8(127, 1);
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+};
+
+/**
+ * Decodes the first complete WebSocket frame of a buffer.
+ * Client frames are always masked. Fragmented messages are not supported, as the game never sends them.
+ *
+ * @param {Buffer} buffer - The received data.
+ * @returns {Object|undefined} The frame with 'opcode', 'payload' and 'length' (bytes used from the buffer), or undefined
+ *                             if the frame is not complete yet.
+ * @throws {Error} If the frame is not a valid, unfragmented and masked frame within the size limit. Control frames
+ *                 (close, ping and pong) may only carry 125 bytes (RFC 6455).
+ */
+const decodeFrame = (buffer) => {
+    if (buffer.length < 2) return undefined;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let payloadLength = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (!fin || opcode === 0) throw new Error("Fragmented messages are not supported.");
+    if (!masked) throw new Error("Client frames must be masked.");
+
+    if (payloadLength === 126) {
+        if (buffer.length < 4) return undefined;
+        payloadLength = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (payloadLength === 127) {
+        if (buffer.length < 10) return undefined;
+        payloadLength = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+    if (payloadLength > maxMessageSize) throw new Error("Message too big.");
+    if (opcode >= 0x8 && payloadLength > 125) throw new Error("Control frame too big.");
+    if (buffer.length < offset + 4 + payloadLength) return undefined;
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + payloadLength));
+    for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+    }
+    return { opcode, payload, length: offset + 4 + payloadLength };
+};
+
+/**
+ * Completes the WebSocket handshake and wraps the socket into a connection that sends and receives JSON messages.
+ *
+ * @param {http.IncomingMessage} request - The upgrade request.
+ * @param {net.Socket} socket - The socket of the request.
+ * @param {Function} onMessage - Called with the connection and every parsed message.
+ * @param {Function} onClose - Called with the connection once it is closed.
+ */
+const acceptWebSocket = (request, socket, onMessage, onClose) => {
+    const key = request.headers["sec-websocket-key"];
+    if (!key) {
+        socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+        return;
+    }
+    const accept = crypto.createHash("sha1").update(key + webSocketGuid).digest("base64");
+    socket.write(
+        "HTTP/1.1 101 Switching Protocols\r\n" +
+        "Upgrade: websocket\r\n" +
+        "Connection: Upgrade\r\n" +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+
+    let received = Buffer.alloc(0);
+    let closed = false;
+    const connection = {
+        send(message) {
+            if (!closed) socket.write(encodeFrame(JSON.stringify(message)));
+        },
+        close() {
+            if (closed) return;
+            // Close frame without a status code
+            socket.end(Buffer.from([0x88, 0x00]));
+            finish();
+        },
+    };
+    const finish = () => {
+        if (closed) return;
+        closed = true;
+        onClose(connection);
+    };
+
+    socket.on("data", (chunk) => {
+        received = Buffer.concat([received, chunk]);
+        try {
+            let frame;
+            while (!closed && (frame = decodeFrame(received))) {
+                received = received.subarray(frame.length);
+                if (frame.opcode === 0x8) {
+                    connection.close();
+                } else if (frame.opcode === 0x9) {
+                    // Answer pings with a pong carrying the same data, which is at most 125 bytes long (see 'decodeFrame')
+                    socket.write(Buffer.concat([Buffer.from([0x8a, frame.payload.length]), frame.payload]));
+                } else if (frame.opcode === 0x1) {
+                    onMessage(connection, JSON.parse(frame.payload.toString("utf8")));
+                }
+            }
+        } catch (error) {
+            // Broken frames or messages end the connection
+            connection.close();
+        }
+    });
+    socket.on("close", finish);
+    socket.on("error", finish);
+};
+
+/**
+ * Creates a room code that is not in use.
+ *
+ * @returns {string} The room code.
+ */
+const createRoomCode = () => {
+    let code;
+    do {
+        code = Array.from({ length: roomCodeLength }, () => roomCodeAlphabet[crypto.randomInt(roomCodeAlphabet.length)]).join("");
+    } while (rooms.has(code));
+    return code;
+};
+
+/**
+ * Handles a message of a display or controller.
+ *
+ * @param {Object} connection - The connection the message came from.
+ * @param {Object} message - The parsed message.
+ */
+const handleMessage = (connection, message) => {
+    if (message.type === "host" && !connection.role) {
+        const code = createRoomCode();
+        rooms.set(code, { display: connection });
+        Object.assign(connection, { role: "display", code });
+        connection.send({ type: "room", code });
+    } else if (message.type === "join" && !connection.role) {
+        const code = String(message.code || "").trim().toUpperCase();
+        const room = rooms.get(code);
+        if (!room) {
+            connection.send({ type: "error", message: `There is no room with the code ${code}.` });
+        } else if (room.controller) {
+            connection.send({ type: "error", message: `Room ${code} already has a controller.` });
+        } else {
+            room.controller = connection;
+            Object.assign(connection, { role: "controller", code });
+            connection.send({ type: "joined", code });
+            room.display.send({ type: "controller", connected: true });
+        }
+    } else if (message.type === "tilt" && connection.role === "controller") {
+        const { gamma, beta } = message;
+        if (Number.isFinite(gamma) && Number.isFinite(beta)) {
+            rooms.get(connection.code).display.send({ type: "tilt", gamma, beta });
+        }
+    }
+};
+
+/**
+ * Cleans up after a display or controller disconnected.
+ *
+ * @param {Object} connection - The closed connection.
+ */
+const handleClose = (connection) => {
+    const room = rooms.get(connection.code);
+    if (!room) return;
+
+    if (connection.role === "display") {
+        rooms.delete(connection.code);
+        if (room.controller) {
+            room.controller.send({ type: "error", message: "The display left the room." });
+            room.controller.close();
+        }
+    } else if (room.controller === connection) {
+        room.controller = undefined;
+        room.display.send({ type: "controller", connected: false });
+    }
+};
+
+/**
+ * Lists the addresses under which the server can be reached from other devices in the network.
+ *
+ * @param {string} protocol - "http" or "https".
+ * @param {number} port - The port of the server.
+ * @returns {Array} The URLs.
+ */
+const networkAddresses = (protocol, port) => {
+    return Object.values(os.networkInterfaces())
+        .flat()
+        .filter((address) => address && address.family === "IPv4" && !address.internal)
+        .map((address) => `${protocol}://${address.address}:${port}/`);
+};
+
+module.exports = { parseArguments, serveFile, encodeFrame, decodeFrame };
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArguments(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    const secure = Boolean(options.cert);
+    const server = secure
+        ? https.createServer({ cert: fs.readFileSync(options.cert), key: fs.readFileSync(options.key) }, serveFile)
+        : http.createServer(serveFile);
+
+    server.on("upgrade", (request, socket) => {
+        if (new URL(request.url, "http://localhost").pathname !== relayPath) {
+            socket.end("HTTP/1.1 404 Not Found\r\n\r\n");
+            return;
+        }
+        acceptWebSocket(request, socket, handleMessage, handleClose);
+    });
+
+    server.listen(options.port, () => {
+        const protocol = secure ? "https" : "http";
+        console.log(`Maze game served on ${protocol}://localhost:${options.port}/`);
+        networkAddresses(protocol, options.port).forEach((url) => console.log(`  in the network: ${url}`));
+    });
+}
@@ -0,0 +1,86 @@
+/**
+ * MoCIoT Web App: Service Worker
+ *
+ * This script makes the game work offline and installable. When it is installed, it stores every file the game needs
+ * (page, styles, scripts, font, icon and levels) in a cache, and afterwards answers all requests for these files from
+ * the cache, so the game starts without a connection.
+ *
+ * Updating:
+ *   - Bump 'cacheVersion' whenever a file of the game changes, and add new files to 'precachedFiles'. The browser then
+ *     installs the new service worker next to the running one.
+ *   - The new service worker waits until the player confirms the update prompt of the page (js/offline.js), which
+ *     sends it a 'skipWaiting' message. It then takes over and removes the caches of older versions.
+ */
+
+// Version of the cached files, see above
+const cacheVersion = 13;
+const cacheName = `maze-game-v${cacheVersion}`;
+
+// Files of the game, relative to this script
+const precachedFiles = [
+    "./",
+    "index.html",
+    "manifest.webmanifest",
+    "css/styles.css",
+    "fonts/roboto-latin-400-normal.woff2",
+    "fonts/roboto-latin-700-normal.woff2",
+    "icons/icon.svg",
+    "js/physics.js",
+    "js/renderers.js",
+    "js/replay.js",
+    "js/generator.js",
+    "js/solver.js",
+    "js/benchmark.js",
+    "js/levels.js",
+    "js/scores.js",
+    "js/challenge.js",
+    "js/feedback.js",
+    "js/editor.js",
+    "js/debug.js",
+    "js/remote.js",
+    "js/input.js",
+    "js/game.js",
+    "js/offline.js",
+    "js/script.js",
+    "levels/index.json",
+    "levels/01-first-steps.json",
+    "levels/02-two-of-a-kind.json",
+    "levels/03-classic.json",
+    "levels/04-labyrinth.json",
+    "levels/05-needle.json",
+    "levels/06-pitfalls.json",
+    "levels/07-colors.json",
+    "levels/08-gatekeeper.json",
+    "levels/09-rough-ground.json",
+];
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(caches.open(cacheName).then((cache) => cache.addAll(precachedFiles)));
+});
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((names) => Promise.all(names.filter((name) => name !== cacheName).map((name) => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener("message", (event) => {
+    if (event.data && event.data.type === "skipWaiting") {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+
+    // The page is opened with query parameters (e.g. '?seed=', '?room='), which do not change the cached file
+    const ignoreSearch = request.mode === "navigate";
+    event.respondWith(
+        caches.open(cacheName)
+            .then((cache) => cache.match(request, { ignoreSearch }))
+            .then((cached) => cached || fetch(request))
+    );
+});
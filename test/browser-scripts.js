@@ -0,0 +1,28 @@
+/**
+ * MoCIoT Web App: Browser Scripts in Tests
+ *
+ * Loads scripts of the game that only run in the browser into one context, in the order of index.html, so they share
+ * their globals like on the page.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+/**
+ * Loads scripts of the js directory into a new context.
+ *
+ * @param {Array} names - The names of the scripts without '.js', in the order they depend on each other.
+ * @param {Array} globals - The names of the globals to return.
+ * @returns {Object} The requested globals by name.
+ */
+const loadBrowserScripts = (names, globals) => {
+    const context = vm.createContext({ TextEncoder, TextDecoder, atob, btoa });
+    names.forEach((name) => {
+        const file = path.join(__dirname, "..", "js", `${name}.js`);
+        vm.runInContext(fs.readFileSync(file, "utf8"), context, { filename: file });
+    });
+    return vm.runInContext(`({ ${globals.join(", ")} })`, context);
+};
+
+module.exports = { loadBrowserScripts };
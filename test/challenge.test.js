@@ -0,0 +1,48 @@
+/**
+ * MoCIoT Web App: Challenge Link Tests
+ *
+ * Checks of the challenge links (js/challenge.js), run with 'node --test test/'.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadBrowserScripts } = require("./browser-scripts.js");
+
+const { encodeChallenge, decodeChallenge, resolveLevel, toBase64Url } = loadBrowserScripts(
+    ["physics", "generator", "solver", "levels", "challenge"],
+    ["encodeChallenge", "decodeChallenge", "resolveLevel", "toBase64Url"],
+);
+
+/**
+ * Creates a level with a moving wall in the middle of a corridor.
+ *
+ * @param {number} period - The period of the moving wall in milliseconds.
+ * @returns {Object} The level in the level format.
+ */
+const corridorLevel = (period) => ({
+    name: "Corridor",
+    columns: 4,
+    rows: 2,
+    walls: [
+        { column: 0, row: 0, horizontal: true, length: 4 },
+        { column: 0, row: 2, horizontal: true, length: 4 },
+        { column: 0, row: 0, horizontal: false, length: 2 },
+        { column: 4, row: 0, horizontal: false, length: 2 },
+    ],
+    balls: [{ column: 0, row: 0 }],
+    goal: { x: 3.5, y: 0.5, size: 1 },
+    movingWalls: [{ column: 2, row: 1, horizontal: true, length: 1, path: [{ column: 1, row: 1 }], period }],
+});
+
+test("challenge links open the maze they were made from", () => {
+    const level = resolveLevel(corridorLevel(6000));
+    const challenge = decodeChallenge(encodeChallenge(level, 12345));
+    assert.strictEqual(challenge.targetTime, 12345);
+    assert.strictEqual(challenge.level.movingWalls[0].period, 6000);
+});
+
+test("challenge links with a moving wall too fast for the simulation are rejected", () => {
+    // Crafted by hand, 'encodeChallenge' only gets valid levels
+    const hash = `#challenge=${toBase64Url(JSON.stringify({ version: 1, level: corridorLevel(1e-9) }))}`;
+    assert.throws(() => decodeChallenge(hash), /period/);
+});
@@ -0,0 +1,130 @@
+/**
+ * MoCIoT Web App: Physics Tests
+ *
+ * Checks of the simulation (js/physics.js) that need no browser, run with 'node --test test/'.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+    createWorld, step, takeEvents, collideWithWall, physicsProfiles, defaultPhysicsProfile, defaultGeometry,
+} = require("../js/physics.js");
+
+// Vertical wall on the grid line between the first two columns, one cell long
+const wallBetweenColumns = { x: 40, y: 0, horizontal: false, length: 40 };
+
+/**
+ * Creates a level with a single row of cells in a box.
+ *
+ * @param {number} columns - The number of cells.
+ * @param {Array} goals - The goal zones in grid units.
+ * @returns {Object} The level in the level format.
+ */
+const corridorLevel = (columns, goals) => ({
+    columns,
+    rows: 1,
+    walls: [
+        { column: 0, row: 0, horizontal: true, length: columns },
+        { column: 0, row: 1, horizontal: true, length: columns },
+        { column: 0, row: 0, horizontal: false, length: 1 },
+        { column: columns, row: 0, horizontal: false, length: 1 },
+    ],
+    balls: [{ column: 0, row: 0 }],
+    goals,
+});
+
+test("a ball running into the side of a wall is pushed back and bounces off", () => {
+    const ball = { x: 28, y: 20, nextX: 32, nextY: 20, velocityX: 4, velocityY: 0 };
+    const part = collideWithWall(ball, wallBetweenColumns, defaultGeometry, 0.5);
+
+    assert.strictEqual(part, "strip");
+    // The center of the ball stays half a wall and half a ball away from the center line of the wall
+    assert.strictEqual(ball.x, 30);
+    assert.strictEqual(ball.velocityX, -2);
+});
+
+test("a ball that does not reach a wall is left alone", () => {
+    const ball = { x: 20, y: 20, nextX: 24, nextY: 20, velocityX: 4, velocityY: 0 };
+    assert.strictEqual(collideWithWall(ball, wallBetweenColumns, defaultGeometry, 0.5), undefined);
+    assert.deepStrictEqual(ball, { x: 20, y: 20, nextX: 24, nextY: 20, velocityX: 4, velocityY: 0 });
+});
+
+test("a ball rolling against a wall comes to rest in front of it", () => {
+    // The ball rolls away from the goal, into the wall on the left
+    const world = createWorld(corridorLevel(3, [{ x: 2.5, y: 0.5, size: 1 }]));
+    const [ball] = world.balls;
+    for (let index = 0; index < 600; index++) {
+        step(world, { gamma: -20, beta: 0 });
+    }
+
+    const { wallWidth, ballSize } = world.geometry;
+    assert.ok(Math.abs(ball.x - (wallWidth / 2 + ballSize / 2)) < 0.5, `ball stopped at x ${ball.x}`);
+    assert.ok(Math.abs(ball.velocityX) < 0.05, `ball still moves at ${ball.velocityX}`);
+    assert.ok(takeEvents(world).some((event) => event.type === "wallHit"));
+    assert.strictEqual(world.won, false);
+});
+
+test("a ball rolling into the goal wins the level", () => {
+    const world = createWorld(corridorLevel(3, [{ x: 2.5, y: 0.5, size: 1 }]));
+    const events = [];
+    for (let index = 0; index < 600 && !world.won; index++) {
+        step(world, { gamma: 20, beta: 0 });
+        events.push(...takeEvents(world));
+    }
+
+    assert.strictEqual(world.won, true);
+    assert.ok(events.some((event) => event.type === "goalEntered" && event.ball === 0 && event.goal === 0));
+});
+
+test("balls bouncing between bumpers on a flat board stay on the board", () => {
+    // Two bumper cells next to each other, the goal in the row below, out of the way of the ball
+    const world = createWorld({
+        columns: 2,
+        rows: 2,
+        walls: [
+            { column: 0, row: 0, horizontal: true, length: 2 },
+            { column: 0, row: 2, horizontal: true, length: 2 },
+            { column: 0, row: 0, horizontal: false, length: 2 },
+            { column: 2, row: 0, horizontal: false, length: 2 },
+            { column: 0, row: 1, horizontal: true, length: 2 },
+        ],
+        balls: [{ column: 0, row: 0 }],
+        goals: [{ x: 1, y: 1.5, size: 1 }],
+        materials: [
+            { column: 0, row: 0, material: "bumper" },
+            { column: 1, row: 0, material: "bumper" },
+        ],
+    });
+    const [ball] = world.balls;
+    const { maxVelocity } = physicsProfiles[defaultPhysicsProfile];
+    ball.velocityX = maxVelocity;
+
+    for (let index = 0; index < 5000; index++) {
+        step(world, { gamma: 0, beta: 0 });
+        assert.ok(ball.x > 0 && ball.x < world.width, `ball left the board at x ${ball.x} after ${index + 1} steps`);
+        assert.ok(Math.abs(ball.velocityX) <= maxVelocity, `ball got faster than ${maxVelocity}: ${ball.velocityX}`);
+    }
+});
+
+test("steps stay quick even with a moving wall far too fast for a valid level", () => {
+    // Levels are validated against 'minWallPeriod', a world created directly is not
+    const world = createWorld({
+        columns: 3,
+        rows: 1,
+        walls: [
+            { column: 0, row: 0, horizontal: true, length: 3 },
+            { column: 0, row: 1, horizontal: true, length: 3 },
+            { column: 0, row: 0, horizontal: false, length: 1 },
+            { column: 3, row: 0, horizontal: false, length: 1 },
+        ],
+        movingWalls: [{ column: 1, row: 0, horizontal: false, length: 1, path: [{ column: 2, row: 0 }], period: 1e-9 }],
+        balls: [{ column: 0, row: 0 }],
+        goals: [{ x: 2.5, y: 0.5, size: 1 }],
+    });
+
+    const start = Date.now();
+    for (let index = 0; index < 10; index++) {
+        step(world, { gamma: 10, beta: 0 });
+    }
+    assert.ok(Date.now() - start < 1000, "the steps took longer than a second");
+});
@@ -0,0 +1,69 @@
+/**
+ * MoCIoT Web App: Relay Server Tests
+ *
+ * Checks of the local relay server (server/relay.js), run with 'node --test test/'.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { serveFile, decodeFrame } = require("../server/relay.js");
+
+/**
+ * Requests a path from a server serving the web root.
+ *
+ * @param {string} requestPath - The path of the request, sent as it is.
+ * @returns {Promise<number>} The status code of the response.
+ */
+const requestStatus = (requestPath) => {
+    const server = http.createServer(serveFile);
+    return new Promise((resolve, reject) => {
+        server.listen(0, "127.0.0.1", () => {
+            const request = http.get({ host: "127.0.0.1", port: server.address().port, path: requestPath }, (response) => {
+                response.resume();
+                server.close();
+                resolve(response.statusCode);
+            });
+            request.on("error", (error) => {
+                server.close();
+                reject(error);
+            });
+        });
+    });
+};
+
+test("files of the web root are served", async () => {
+    assert.strictEqual(await requestStatus("/index.html"), 200);
+});
+
+test("paths with a NUL byte are rejected without stopping the server", async () => {
+    assert.strictEqual(await requestStatus("/%00"), 400);
+    assert.strictEqual(await requestStatus("/index.html%00.js"), 400);
+    assert.strictEqual(await requestStatus("/index.html"), 200);
+});
+
+/**
+ * Builds a masked client frame.
+ *
+ * @param {number} opcode - The opcode of the frame.
+ * @param {number} length - The length of the payload, filled with zeros.
+ * @returns {Buffer} The frame.
+ */
+const clientFrame = (opcode, length) => {
+    const header = length < 126
+        ? Buffer.from([0x80 | opcode, 0x80 | length])
+        : Buffer.from([0x80 | opcode, 0x80 | 126, length >> 8, length & 0xff]);
+    // A zero mask leaves the payload as it is
+    return Buffer.concat([header, Buffer.alloc(4), Buffer.alloc(length)]);
+};
+
+test("pings of up to 125 bytes are accepted, longer control frames are refused", () => {
+    assert.strictEqual(decodeFrame(clientFrame(0x9, 125)).payload.length, 125);
+    assert.throws(() => decodeFrame(clientFrame(0x9, 200)), /Control frame/);
+    assert.strictEqual(decodeFrame(clientFrame(0x1, 200)).payload.length, 200);
+});
+
+test("paths with broken percent-encoding are rejected without stopping the server", async () => {
+    assert.strictEqual(await requestStatus("/%E0%A4%A"), 400);
+    assert.strictEqual(await requestStatus("/index.html"), 200);
+});
@@ -0,0 +1,63 @@
+/**
+ * MoCIoT Web App: Replay Tests
+ *
+ * Checks of the recordings (js/replay.js), run with 'node --test test/'.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadBrowserScripts } = require("./browser-scripts.js");
+
+const { validateRecording } = loadBrowserScripts(["physics", "generator", "levels", "replay"], ["validateRecording"]);
+// The problems found, as an array of this context so it can be compared
+const problemsOf = (recording) => Array.from(validateRecording(recording));
+
+/**
+ * Creates a recording of a short run in an empty box.
+ *
+ * @param {Object} [changes] - Properties replacing those of the recording.
+ * @returns {Object} The recording.
+ */
+const boxRecording = (changes) => ({
+    version: 1,
+    level: {
+        name: "Box",
+        columns: 2,
+        rows: 2,
+        walls: [
+            { column: 0, row: 0, horizontal: true, length: 2 },
+            { column: 0, row: 2, horizontal: true, length: 2 },
+            { column: 0, row: 0, horizontal: false, length: 2 },
+            { column: 2, row: 0, horizontal: false, length: 2 },
+        ],
+        balls: [{ column: 0, row: 0 }],
+        goal: { x: 1.5, y: 1.5, size: 1 },
+    },
+    options: { stickyBalls: false, holeRule: "lives", lives: 3, profile: "marble" },
+    timestep: 16,
+    steps: 5,
+    samples: [0, 10, 10],
+    ...changes,
+});
+
+test("recordings made by the game are valid", () => {
+    assert.deepStrictEqual(problemsOf(boxRecording()), []);
+    // Options that were added later may be missing in older recordings
+    assert.deepStrictEqual(problemsOf(boxRecording({ options: { stickyBalls: true } })), []);
+});
+
+test("recordings without options are rejected", () => {
+    assert.deepStrictEqual(problemsOf(boxRecording({ options: undefined })), ["'options' must be an object."]);
+    assert.deepStrictEqual(problemsOf(boxRecording({ options: [] })), ["'options' must be an object."]);
+});
+
+test("recordings with bad options are rejected", () => {
+    const problems = (options) => problemsOf(boxRecording({ options })).length;
+    assert.strictEqual(problems({ stickyBalls: "yes" }), 1);
+    assert.strictEqual(problems({ stickyBalls: false, holeRule: "explode" }), 1);
+    assert.strictEqual(problems({ stickyBalls: false, lives: 0 }), 1);
+    assert.strictEqual(problems({ stickyBalls: false, lives: 2.5 }), 1);
+    assert.strictEqual(problems({ stickyBalls: false, profile: "rubber" }), 1);
+    assert.strictEqual(problems({ stickyBalls: false, physics: { gravity: "x" } }), 1);
+    assert.strictEqual(problems({ stickyBalls: false, broadphase: false }), 1);
+});